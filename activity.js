@@ -0,0 +1,152 @@
+const { walkHistory } = require('./snapshots');
+const { DEFAULT_TIMEZONE, toLocalDate } = require('./timezone');
+
+// Helper function to parse a folder_date ('YYYY-MM-DD HH:MM:SS', UTC) into a Date
+const parseFolderDate = (folderDate) => new Date(folderDate.replace(' ', 'T') + 'Z');
+
+// Helper function to format a Date as a folder_date
+const toFolderDate = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+// Get every interval between two consecutive syncs in which a player's races_completed went up.
+// Each interval is { name, start, end, races, sync_id } with start/end as the folder_date form of the
+// two sync dates; a player who was off the board in between counts from the last sync they were on it.
+// from/to are inclusive bounds on end; player limits it to one player name.
+async function getActivityIntervals(db, { from = null, to = null, player = null } = {}) {
+    const intervals = [];
+    // The whole history is replayed, so the first interval in range still has a start.
+    // departed holds the last row of players who left the board and the last sync they were on it.
+    const departed = new Map();
+    let previousDate = null;
+    await walkHistory(db, { names: player ? [player] : null, to }, (sync, players, changes) => {
+        changes.forEach((before, name) => {
+            const after = players.get(name);
+            if (!after) {
+                if (before) departed.set(name, { row: before, date: previousDate });
+                return;
+            }
+            let start = { row: before, date: previousDate };
+            if (!before) {
+                if (!departed.has(name)) return;
+                start = departed.get(name);
+                departed.delete(name);
+            }
+            const races = (after.races_completed || 0) - (start.row.races_completed || 0);
+            if (races > 0 && (!from || sync.date >= from)) {
+                intervals.push({ name, start: start.date, end: sync.date, races, sync_id: sync.sync_id });
+            }
+        });
+        previousDate = sync.date;
+    });
+
+    return intervals.sort((a, b) => a.name.localeCompare(b.name) || a.end.localeCompare(b.end));
+}
+
+// Join back-to-back intervals of the same player into play periods:
+// { name, start, end, races, syncs }. Intervals must be sorted by name, then end.
+const groupPlayPeriods = (intervals) => {
+    const periods = [];
+    let current = null;
+    intervals.forEach(interval => {
+        if (current && current.name === interval.name && current.end === interval.start) {
+            current.end = interval.end;
+            current.races += interval.races;
+            current.syncs++;
+            return;
+        }
+        current = { name: interval.name, start: interval.start, end: interval.end, races: interval.races, syncs: 1 };
+        periods.push(current);
+    });
+    return periods;
+};
+
+// Total races and play periods per player, most races first
+const summarizePlayers = (intervals) => {
+    const players = new Map();
+    groupPlayPeriods(intervals).forEach(period => {
+        const player = players.get(period.name) || { name: period.name, races: 0, play_periods: 0, last_played: null };
+        player.races += period.races;
+        player.play_periods++;
+        if (!player.last_played || period.end > player.last_played) player.last_played = period.end;
+        players.set(period.name, player);
+    });
+    return Array.from(players.values()).sort((a, b) => b.races - a.races || a.name.localeCompare(b.name));
+};
+
+// Races per hour of day in a time zone. The races of an interval are spread evenly over the hours it covers,
+// so hourly syncs give an exact picture and wider gaps a smoothed one.
+const buildHeatmap = (intervals, timeZone = DEFAULT_TIMEZONE) => {
+    // Helper function to get the offset of the time zone from UTC in ms at a moment
+    const offsetAt = (time) => parseFolderDate(toLocalDate(new Date(time), timeZone)).getTime() - Math.floor(time / 1000) * 1000;
+    const hours = Array.from({ length: 24 }, (value, hour) => ({ hour, races: 0 }));
+    intervals.forEach(interval => {
+        const start = parseFolderDate(interval.start).getTime();
+        const end = parseFolderDate(interval.end).getTime();
+        if (!(end > start)) {
+            hours[new Date(end + offsetAt(end)).getUTCHours()].races += interval.races;
+            return;
+        }
+        const racesPerMs = interval.races / (end - start);
+        let time = start;
+        while (time < end) {
+            // Step to the next full hour on the local clock
+            const offset = offsetAt(time);
+            const nextHour = Math.min(end, (Math.floor((time + offset) / 3600000) + 1) * 3600000 - offset);
+            hours[new Date(time + offset).getUTCHours()].races += (nextHour - time) * racesPerMs;
+            time = nextHour;
+        }
+    });
+    hours.forEach(hour => {
+        hour.races = Math.round(hour.races * 100) / 100;
+    });
+    return hours;
+};
+
+// Active/inactive day streaks per player. A day is active when a play period ended on it, with days cut
+// in a time zone. Days run from the player's first active day up to lastDay (YYYY-MM-DD in that time zone,
+// normally the day of the latest sync).
+const getStreaks = (intervals, lastDay, timeZone = DEFAULT_TIMEZONE) => {
+    const days = new Map();
+    intervals.forEach(interval => {
+        if (!days.has(interval.name)) days.set(interval.name, new Set());
+        days.get(interval.name).add(toLocalDate(interval.end, timeZone).substring(0, 10));
+    });
+
+    const streaks = [];
+    days.forEach((activeDays, name) => {
+        const sorted = Array.from(activeDays).sort();
+        let longest = { days: 0, start: null, end: null };
+        let run = null;
+        const day = parseFolderDate(sorted[0] + ' 00:00:00');
+        const last = parseFolderDate(lastDay + ' 00:00:00');
+        let inactiveDays = 0;
+        while (day <= last) {
+            const key = toFolderDate(day).substring(0, 10);
+            if (activeDays.has(key)) {
+                run = run ? { ...run, days: run.days + 1, end: key } : { days: 1, start: key, end: key };
+                if (run.days > longest.days) longest = run;
+                inactiveDays = 0;
+            } else {
+                run = null;
+                inactiveDays++;
+            }
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        streaks.push({
+            name,
+            current_streak: run ? { type: 'active', days: run.days, since: run.start } : { type: 'inactive', days: inactiveDays },
+            longest_active_streak: longest,
+            last_active: sorted[sorted.length - 1],
+            active_days: sorted.length
+        });
+    });
+    return streaks;
+};
+
+module.exports = {
+    toFolderDate,
+    getActivityIntervals,
+    groupPlayPeriods,
+    summarizePlayers,
+    buildHeatmap,
+    getStreaks
+};
@@ -1,41 +1,116 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const path = require('path');
 const cors = require('cors');
+const { migrate } = require('./migrate');
+const { FORMATS, sendRows, createRowWriter } = require('./formats');
+const { validateRule, checkWebhookUrl } = require('./webhooks');
+const snapshots = require('./snapshots');
+const { IDENTITY_JOIN, PLAYER_NAME, SYNC_DATE, OBSERVED_SYNC } = snapshots;
+const { resolveRename, mergeNames, getAliases } = require('./identities');
+const { deleteSync, restoreSync } = require('./history');
+const { fetchData } = require('./fetch2');
+const { createResponseCache } = require('./cache');
+const { MILESTONE_TYPES, findMilestones } = require('./milestones');
+const { FEED_FORMATS, sendFeed } = require('./feed');
+const activity = require('./activity');
+const timezone = require('./timezone');
+const repository = require('./repository');
+const {
+    PORT,
+    ADMIN_TOKEN,
+    STREAM_POLL_SECONDS,
+    STREAM_HEARTBEAT_SECONDS,
+    XBLTOTAL_LEADERBOARD_ID
+} = require('./config');
 const app = express();
-const port = 3000;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Database connection
-const db = new sqlite3.Database('xbltotal.db', (err) => {
-    if (err) {
-        console.error('Error connecting to database:', err.message);
-    } else {
-        console.log('Connected to the SQLite database.');
+// Dashboard (public/index.html and its assets), served from the same origin as the API
+app.use(express.static(path.join(__dirname, 'public')));
+
+// tz= (default DEFAULT_TIMEZONE) sets the time zone date parameters are read in and days are cut in.
+// Handlers write the timestamps they return as ISO 8601 with that zone's offset (timezone.localizeRow).
+app.use('/api2', (req, res, next) => {
+    const timeZone = req.query.tz || timezone.DEFAULT_TIMEZONE;
+    if (!timezone.isTimeZone(timeZone)) {
+        res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/London' });
+        return;
     }
+    res.locals.timeZone = timeZone;
+    next();
 });
 
+// Database connection (DB_PATH). Syncs triggered through the admin API run on it too.
+const db = repository.openDatabase();
+
 // Helper function to execute queries
-const runQuery = (query, params = []) => {
-    return new Promise((resolve, reject) => {
-        db.all(query, params, (err, rows) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(rows);
+const runQuery = (query, params = []) => repository.all(db, query, params);
+
+// Helper function to run a statement
+const runStatement = (query, params = []) => repository.run(db, query, params);
+
+// Where each kind of leaderboard keeps its rows. Other boards store their own
+// column layout as JSON in LeaderboardEntry.data, which is flattened back into the row.
+const leaderboardSources = {
+    xbltotal: {
+        table: 'XBLTotal',
+        history: snapshots.historyOf('XBLTotal'),
+        columns: ['id', 'leaderboard_id', 'rank', 'name', 'first_place_finishes', 'second_place_finishes',
+            'third_place_finishes', 'races_completed', 'kudos_rank', 'kudos', 'folder_date', 'data_date', 'sync_id'],
+        mapRow: (row) => row
+    },
+    entries: {
+        table: 'LeaderboardEntry',
+        history: snapshots.historyOf('LeaderboardEntry'),
+        columns: ['id', 'leaderboard_id', 'rank', 'name', 'data', 'folder_date', 'data_date', 'sync_id'],
+        mapRow: (row) => {
+            let values = {};
+            try {
+                values = row.data ? JSON.parse(row.data) : {};
+            } catch (err) {
+                console.warn(`Invalid data for LeaderboardEntry ${row.id}:`, err.message);
             }
-        });
-    });
+            return {
+                id: row.id,
+                leaderboard_id: row.leaderboard_id,
+                rank: row.rank,
+                name: row.name,
+                ...values,
+                folder_date: row.folder_date,
+                data_date: row.data_date,
+                sync_id: row.sync_id
+            };
+        }
+    }
 };
 
-// Helper function to get the latest sync_id
-const getLatestSyncId = async () => {
-    const rows = await runQuery('SELECT sync_id FROM Sync ORDER BY sync_date DESC LIMIT 1');
-    return rows.length > 0 ? rows[0].sync_id : null;
+// Helper function to read the leaderboard_id query parameter (defaults to the XBLTotal board)
+const parseLeaderboardId = (value) => {
+    if (value === undefined || value === '') {
+        return XBLTOTAL_LEADERBOARD_ID;
+    }
+    if (!/^\d+$/.test(String(value))) {
+        return null;
+    }
+    return parseInt(value);
+};
+
+// Helper function to get where a leaderboard's rows are stored
+const getLeaderboardSource = (leaderboardId) => {
+    return leaderboardId === XBLTOTAL_LEADERBOARD_ID ? leaderboardSources.xbltotal : leaderboardSources.entries;
 };
 
+// SQL condition that keeps only rows of successful, non-deleted syncs. Failed, quarantined and
+// deleted syncs keep their rows for inspection, but they are only returned when asked for by sync_id.
+const VISIBLE_SYNC = `sync_id IN (SELECT sync_id FROM Sync WHERE status = 'success' AND deleted_at IS NULL)`;
+
+// Helper function to get the latest successful sync_id that has rows for a leaderboard
+const getLatestSyncId = (leaderboardId = XBLTOTAL_LEADERBOARD_ID) => snapshots.getLatestSyncId(db, leaderboardId);
+
 // Helper function to get the closest date for a given table and column
 const getClosestDate = async (table, column, targetDate, extraConditions = '', params = []) => {
     // Find the row with the closest date to targetDate
@@ -44,462 +119,1725 @@ const getClosestDate = async (table, column, targetDate, extraConditions = '', p
     return rows.length > 0 ? rows[0][column] : null;
 };
 
-// Helper function to find the closest folder_date hour across all tables
-const getClosestFolderDateHour = async (targetDate) => {
+// Helper function to read a date parameter (YYYY-MM-DD[ HH[:MM[:SS]]], missing parts are zero) as a wall-clock
+// time in a time zone and get its UTC folder_date. Returns null when the value isn't a date.
+const toUtcDate = (value, timeZone) => {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2})(?::(\d{2})(?::(\d{2}))?)?)?$/.exec(value);
+    if (!match) return null;
+    const [, day, hour = '00', minute = '00', second = '00'] = match;
+    const localDate = `${day} ${hour}:${minute}:${second}`;
+    return isNaN(timezone.parseDate(localDate).getTime()) ? null : timezone.fromLocalDate(localDate, timeZone);
+};
+
+// Helper function to find the closest hour with a sync, as "YYYY-MM-DD HH" in the given time zone.
+// Syncs only store the rows that changed, so hours are matched on the syncs themselves rather than on stored folder_dates.
+const getClosestFolderDateHour = async (targetDate, timeZone) => {
     // Decode URL-encoded characters (spaces, colons, etc.)
     let decodedDate = decodeURIComponent(targetDate);
     
-    // Parse the target date - could be: "2024-11-26", "2024-11-26 17", or "2024-11-26 17:55:21"
-    let targetDateTime = decodedDate;
-    
-    // If only date is provided, add default time
+    // Parse the target date - could be: "2024-11-26", "2024-11-26 17", or "2024-11-26 17:55:21".
+    // If only date is provided, use midday
     if (decodedDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        targetDateTime = decodedDate + ' 12:00:00';
-    }
-    // If date and hour are provided, add default minutes/seconds
-    else if (decodedDate.match(/^\d{4}-\d{2}-\d{2} \d{2}$/)) {
-        targetDateTime = decodedDate + ':00:00';
+        decodedDate = decodedDate + ' 12';
     }
-    // If date, hour, and minute are provided, add default seconds
-    else if (decodedDate.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/)) {
-        targetDateTime = decodedDate + ':00';
+    const targetDateTime = toUtcDate(decodedDate, timeZone);
+    if (!targetDateTime) {
+        return null;
     }
     
-    // Extract the date and hour from target (format: "2024-11-26 17")
-    const targetDateHour = targetDateTime.substring(0, 13); // "2024-11-26 17"
-    
-    // First, try to find exact hour match across all tables
-    const hourPattern = targetDateHour + '%'; // "2024-11-26 17%"
+    // First, try to find exact hour match (format: "2024-11-26 17")
+    const targetDateHour = timezone.toLocalDate(targetDateTime, timeZone).substring(0, 13);
+    if (await getLatestSyncInHour(targetDateHour, timeZone)) {
+        return targetDateHour;
+    }
     
-    const exactHourQuery = `
-        SELECT folder_date
-        FROM (
-            SELECT folder_date FROM XBLTotal WHERE folder_date LIKE ?
-        )
+    // If no exact hour match, find the closest hour
+    const closestQuery = `
+        SELECT ${SYNC_DATE} as folder_date, 
+               ABS(strftime('%s', ${SYNC_DATE}) - strftime('%s', ?)) as time_diff
+        FROM Sync s
+        WHERE ${OBSERVED_SYNC}
+        ORDER BY time_diff ASC
         LIMIT 1
     `;
     
-    let rows = await runQuery(exactHourQuery, [hourPattern]);
-    
-    // If no exact hour match, find the closest hour
-    if (rows.length === 0) {
-        const closestQuery = `
-            SELECT folder_date, 
-                   ABS(strftime('%s', folder_date) - strftime('%s', ?)) as time_diff
-            FROM (
-                SELECT folder_date FROM XBLTotal WHERE folder_date IS NOT NULL
-            )
-            ORDER BY time_diff ASC
-            LIMIT 1
-        `;
-        
-        rows = await runQuery(closestQuery, [targetDateTime]);
-    }
+    const rows = await runQuery(closestQuery, [targetDateTime]);
     
     if (rows.length > 0) {
         // Get the hour from the found date (format: "2024-11-26 17")
-        const foundDate = rows[0].folder_date;
-        const foundHour = foundDate.substring(0, 13); // "2024-11-26 17"
-        return foundHour;
+        return timezone.toLocalDate(rows[0].folder_date, timeZone).substring(0, 13);
     }
     
     return null;
 };
 
+// Helper function to resolve a sync from either a sync_id or a date. Dates use the same
+// closest-hour matching as /api2/xbltotal/:date and pick the latest sync in that hour.
+const resolveSync = async (value, timeZone) => {
+    const byId = await runQuery(`SELECT s.sync_id, s.sync_date FROM Sync s WHERE s.sync_id = ? AND ${OBSERVED_SYNC}`, [value]);
+    if (byId.length > 0) {
+        return byId[0];
+    }
+
+    // Anything that isn't a known sync_id has to at least start with a date
+    if (!/^\d{4}-\d{2}-\d{2}/.test(decodeURIComponent(value))) {
+        return null;
+    }
+    const closestHour = await getClosestFolderDateHour(value, timeZone);
+    if (!closestHour) {
+        return null;
+    }
+    return getLatestSyncInHour(closestHour, timeZone);
+};
+
+// Helper function to get the latest sync in an hour ("YYYY-MM-DD HH" in the given time zone)
+const getLatestSyncInHour = (hour, timeZone) => {
+    const start = timezone.fromLocalDate(hour + ':00:00', timeZone);
+    const end = timezone.toFolderDate(new Date(timezone.parseDate(start).getTime() + 60 * 60 * 1000));
+    return snapshots.getLatestSyncBetween(db, start, end);
+};
+
+// Helper function to get the date of the latest sync the board can be read as of, in folder_date form
+const getLatestSyncDate = () => snapshots.getLatestSyncDate(db);
+
+// Helper function to get the successful sync that came right before another one
+const getPreviousSync = (syncId) => snapshots.getPreviousSync(db, syncId);
+
+// Helper function to get the XBLTotal rows of one sync, keyed by player name (merged names resolved)
+const getSnapshot = (syncId) => snapshots.getSnapshot(db, syncId);
+
+// Helper function to resolve a name to the player it belongs to (the identity's display name)
+const resolvePlayerName = async (name) => {
+    const rows = await runQuery(`
+        SELECT pi.display_name FROM PlayerName pn
+        INNER JOIN PlayerIdentity pi ON pi.identity_id = pn.identity_id
+        WHERE pn.name = ? COLLATE NOCASE
+    `, [name]);
+    return rows.length > 0 ? rows[0].display_name : name;
+};
+
+// Helper function to turn from/to query parameters, read in the given time zone, into UTC folder_date
+// conditions, also returned as inclusive from/to bounds. A bare "to" date includes that whole day.
+// Returns null when either value isn't a date.
+const getDateRangeConditions = (from, to, timeZone, column = 't.folder_date') => {
+    const conditions = [];
+    const params = [];
+    const bounds = { from: null, to: null };
+
+    if (from) {
+        bounds.from = toUtcDate(from, timeZone);
+        if (!bounds.from) return null;
+        conditions.push(`${column} >= ?`);
+        params.push(bounds.from);
+    }
+    if (to) {
+        bounds.to = toUtcDate(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : to, timeZone);
+        if (!bounds.to) return null;
+        conditions.push(`${column} <= ?`);
+        params.push(bounds.to);
+    }
+    return { conditions, params, ...bounds };
+};
+
+// Helper function to round derived figures for output
+const round = (value, digits = 4) => {
+    if (value === null || !isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+};
+
+// Cache for the read endpoints, dropped whenever the data version changes
+const responseCache = createResponseCache(() => snapshots.getDataVersion(db));
+const cacheResponse = responseCache.middleware;
+
+// Largest page /api2/xbltotal returns, and its page size for all=true when no limit is given
+const MAX_PAGE_SIZE = 1000;
+
+// XBLTotal columns that hold numbers and can be range filtered
+const XBLTOTAL_NUMERIC_COLUMNS = ['id', 'leaderboard_id', 'rank', 'first_place_finishes', 'second_place_finishes',
+    'third_place_finishes', 'races_completed', 'kudos_rank', 'kudos'];
+
+// Helper function to map the columns of a leaderboard onto SQL expressions for sorting and filtering.
+// Other boards keep their own columns in LeaderboardEntry.data, which are read with json_extract.
+const getQueryColumns = async (leaderboardId) => {
+    const columns = new Map();
+    if (leaderboardId === XBLTOTAL_LEADERBOARD_ID) {
+        leaderboardSources.xbltotal.columns.forEach(column => {
+            columns.set(column, { sql: `t.${column}`, numeric: XBLTOTAL_NUMERIC_COLUMNS.includes(column) });
+        });
+        return columns;
+    }
+
+    leaderboardSources.entries.columns.filter(column => column !== 'data').forEach(column => {
+        columns.set(column, { sql: `t.${column}`, numeric: ['id', 'leaderboard_id', 'rank'].includes(column) });
+    });
+    // Imported boards may have no Leaderboard row, so the keys of the newest entry are used as well.
+    // The first two stored columns are always rank and name.
+    const boards = await runQuery('SELECT columns FROM Leaderboard WHERE leaderboard_id = ?', [leaderboardId]);
+    const entries = await runQuery(`
+        SELECT t.data FROM ${leaderboardSources.entries.history} t
+        INNER JOIN Sync s ON s.sync_id = t.sync_id
+        WHERE t.leaderboard_id = ?
+        ORDER BY s.sync_date DESC, t.id DESC
+        LIMIT 1
+    `, [leaderboardId]);
+    const keys = [
+        ...(boards.length > 0 && boards[0].columns ? JSON.parse(boards[0].columns).slice(2) : []),
+        ...(entries.length > 0 && entries[0].data ? Object.keys(JSON.parse(entries[0].data)) : [])
+    ];
+    keys.forEach(key => {
+        if (!columns.has(key) && /^[a-z0-9_]+$/.test(key)) {
+            columns.set(key, { sql: `json_extract(t.data, '$.${key}')`, numeric: true });
+        }
+    });
+    return columns;
+};
+
+// Helper function to read the limit, offset, sort, fields and min_<column>/max_<column> query parameters.
+// Returns { error } for bad input, otherwise the SQL pieces and the fields to return.
+const parseListOptions = (query, columns, defaultLimit = null) => {
+    const options = { limit: defaultLimit, offset: 0, orderBy: [], fields: null, conditions: [], params: [] };
+
+    if (query.limit !== undefined) {
+        options.limit = /^\d+$/.test(query.limit) ? parseInt(query.limit) : NaN;
+        if (!(options.limit >= 1 && options.limit <= MAX_PAGE_SIZE)) {
+            return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+    if (query.offset !== undefined) {
+        options.offset = /^\d+$/.test(query.offset) ? parseInt(query.offset) : NaN;
+        if (isNaN(options.offset)) {
+            return { error: 'offset must be a non-negative integer' };
+        }
+    }
+
+    // sort=kudos:desc,rank - columns are sorted ascending unless :desc is given
+    if (query.sort !== undefined) {
+        for (const part of String(query.sort).split(',')) {
+            const [column, direction = 'asc'] = part.trim().split(':');
+            if (!columns.has(column)) {
+                return { error: `Unknown sort column: ${column}` };
+            }
+            if (direction !== 'asc' && direction !== 'desc') {
+                return { error: 'sort direction must be asc or desc' };
+            }
+            options.orderBy.push(`${columns.get(column).sql} ${direction.toUpperCase()}`);
+        }
+    }
+    // Rank then id keeps pages stable
+    options.orderBy.push('t.rank ASC', 't.id ASC');
+
+    if (query.fields !== undefined) {
+        options.fields = String(query.fields).split(',').map(field => field.trim()).filter(field => field !== '');
+        const unknown = options.fields.find(field => !columns.has(field));
+        if (options.fields.length === 0 || unknown) {
+            return { error: `Unknown field: ${unknown || query.fields}` };
+        }
+    }
+
+    // Range filters such as min_rank=1&max_rank=10 or min_kudos=50000
+    for (const key of Object.keys(query)) {
+        const match = /^(min|max)_(.+)$/.exec(key);
+        if (!match) continue;
+        const column = columns.get(match[2]);
+        if (!column || !column.numeric) {
+            return { error: `${key} is not a numeric column filter` };
+        }
+        const value = Number(query[key]);
+        if (query[key] === '' || !isFinite(value)) {
+            return { error: `${key} must be a number` };
+        }
+        options.conditions.push(`${column.sql} ${match[1] === 'min' ? '>=' : '<='} ?`);
+        options.params.push(value);
+    }
+    return options;
+};
+
+// Helper function to set X-Total-Count and a Link header with the first, prev and next pages
+const setPaginationHeaders = (req, res, total, limit, offset) => {
+    res.set('X-Total-Count', String(total));
+    res.set('Access-Control-Expose-Headers', 'X-Total-Count, Link');
+    if (limit === null) return;
+
+    const pageUrl = (pageOffset) => `${req.baseUrl}${req.path}?${new URLSearchParams({ ...req.query, limit, offset: pageOffset })}`;
+    const links = [`<${pageUrl(0)}>; rel="first"`];
+    if (offset > 0) {
+        links.push(`<${pageUrl(Math.max(0, offset - limit))}>; rel="prev"`);
+    }
+    if (offset + limit < total) {
+        links.push(`<${pageUrl(offset + limit)}>; rel="next"`);
+    }
+    res.set('Link', links.join(', '));
+};
+
+// Endpoint to list every leaderboard seen by the fetcher with its column layout
+app.get('/api2/leaderboards', cacheResponse, async (req, res) => {
+    try {
+        const rows = await runQuery('SELECT leaderboard_id, name, columns, updated_date FROM Leaderboard ORDER BY leaderboard_id ASC');
+        res.json(rows.map(row => timezone.localizeRow({
+            ...row,
+            columns: row.columns ? JSON.parse(row.columns) : []
+        }, res.locals.timeZone)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // XBLTotal Endpoints
-app.get('/api2/xbltotal', async (req, res) => {
+// The complete board as of the latest sync by default, or as of one sync_id or the sync closest to
+// folder_date/data_date. Rows keep the sync_id and dates of the sync that last stored them.
+// all=true lists the complete board as of every successful or unchanged sync instead, oldest sync first, each
+// row's sync_id being the sync the board is as of.
+// Query parameters on top of those:
+//   limit/offset             - page through the rows (limit 1-1000; all=true pages by 1000 unless limit is given,
+//                              and its boards run on from one page to the next)
+//   sort                     - comma-separated columns, each optionally :asc or :desc (default rank)
+//   fields                   - comma-separated columns to return
+//   min_<column>/max_<column> - range filter on a numeric column, e.g. min_rank=1&max_rank=10 or min_kudos=50000
+// X-Total-Count holds the number of matching rows and Link the first/prev/next pages.
+app.get('/api2/xbltotal', cacheResponse, async (req, res) => {
     try {
         const { name, folder_date, data_date, sync_id, all } = req.query;
-        let conditions = [];
-        let params = [];
+        const format = req.query.format || 'json';
+        if (!FORMATS.includes(format)) {
+            res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+            return;
+        }
+        const leaderboardId = parseLeaderboardId(req.query.leaderboard_id);
+        if (leaderboardId === null) {
+            res.status(400).json({ error: 'leaderboard_id must be a positive integer' });
+            return;
+        }
+        const source = getLeaderboardSource(leaderboardId);
+        const options = parseListOptions(req.query, await getQueryColumns(leaderboardId), all === 'true' ? MAX_PAGE_SIZE : null);
+        if (options.error) {
+            res.status(400).json({ error: options.error });
+            return;
+        }
+        let conditions = ['t.leaderboard_id = ?', ...options.conditions];
+        let params = [leaderboardId, ...options.params];
 
         if (name) {
             conditions.push('t.name LIKE ?');
             params.push(`%${name}%`);
         }
         
-        // For date filtering, we'll filter after merging since dates might come from different tables
-        // We'll handle this in a subquery or post-processing
-        let useLatestSync = false;
+        let snapshotSyncId = null;
         if (sync_id) {
-            conditions.push('t.sync_id = ?');
-            params.push(sync_id);
-        } else if (!folder_date && !data_date && all !== 'true') {
-            // Only use latest sync if 'all' parameter is not set
-            useLatestSync = true;
-        }
-
-        // Build the base merged query
-        // Start with just XBLTotal, then try to join other tables if they exist
-        let query = `
-            SELECT 
-                t.id,
-                t.leaderboard_id,
-                t.rank,
-                t.name,
-                t.first_place_finishes,
-                t.second_place_finishes,
-                t.third_place_finishes,
-                t.races_completed,
-                t.kudos_rank,
-                t.kudos,
-                t.folder_date,
-                t.data_date,
-                t.sync_id
-            FROM XBLTotal t
-        `;
-
-        // Apply latest sync_id filter if needed
-        if (useLatestSync) {
-            const latestSyncId = await getLatestSyncId();
-            if (latestSyncId) {
-                conditions.push('t.sync_id = ?');
-                params.push(latestSyncId);
+            snapshotSyncId = sync_id;
+        } else if (folder_date || data_date) {
+            // Dates are read in the request's time zone, match the closest stored folder_date/data_date and
+            // use the latest sync that stored it
+            const dateConditions = [];
+            const dateParams = [];
+            if (folder_date) {
+                const closest = await getClosestDate(source.history, 'folder_date', toUtcDate(folder_date, res.locals.timeZone) || folder_date, `AND leaderboard_id = ? AND ${VISIBLE_SYNC}`, [leaderboardId]);
+                dateConditions.push('t.folder_date = ?');
+                dateParams.push(closest);
+            }
+            if (data_date) {
+                const closest = await getClosestDate(source.history, 'data_date', toUtcDate(data_date, res.locals.timeZone) || data_date, `AND leaderboard_id = ? AND ${VISIBLE_SYNC}`, [leaderboardId]);
+                dateConditions.push('t.data_date = ?');
+                dateParams.push(closest);
+            }
+            const syncs = await runQuery(`
+                SELECT s.sync_id FROM ${source.history} t
+                INNER JOIN Sync s ON s.sync_id = t.sync_id AND s.status = 'success' AND s.deleted_at IS NULL
+                WHERE t.leaderboard_id = ? AND ${dateConditions.join(' AND ')}
+                ORDER BY s.sync_date DESC LIMIT 1
+            `, [leaderboardId, ...dateParams]);
+            if (syncs.length === 0) {
+                res.status(404).json({ error: 'No data found for the given date' });
+                return;
             }
+            snapshotSyncId = syncs[0].sync_id;
+        } else if (all !== 'true') {
+            snapshotSyncId = await getLatestSyncId(leaderboardId);
         }
 
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
+        let from = `${source.history} t`;
+        let fromParams = [];
+        if (snapshotSyncId) {
+            from = `${snapshots.snapshotSource(source.table)} t`;
+            fromParams = snapshots.snapshotParams(leaderboardId, snapshotSyncId);
+        } else {
+            from = `${snapshots.historySource(source.table)} t`;
+            fromParams = [leaderboardId];
+            // One board after another, each in the requested order
+            options.orderBy.unshift('t.sync_date ASC', 't.sync_id ASC');
         }
 
-        let rows = await runQuery(query, params);
-
-        // Filter by dates if provided (post-query filtering for merged data)
-        if (folder_date || data_date) {
-            if (folder_date) {
-                const closest = await getClosestDate('XBLTotal', 'folder_date', folder_date);
-                if (closest) {
-                    rows = rows.filter(row => row.folder_date === closest);
-                }
-            }
-            if (data_date) {
-                const closest = await getClosestDate('XBLTotal', 'data_date', data_date);
-                if (closest) {
-                    rows = rows.filter(row => row.data_date === closest);
-                }
-            }
+        // Build the query against the table that holds this leaderboard
+        const where = ' WHERE ' + conditions.join(' AND ');
+        const countRows = await runQuery(`SELECT COUNT(*) as total FROM ${from}${where}`, [...fromParams, ...params]);
+        const query = `
+            SELECT ${source.columns.map(column => `t.${column}`).join(', ')}
+            FROM ${from}
+            ${where}
+            ORDER BY ${options.orderBy.join(', ')}
+            LIMIT ? OFFSET ?
+        `;
+        let rows = (await runQuery(query, [...fromParams, ...params, options.limit === null ? -1 : options.limit, options.offset])).map(source.mapRow);
+        if (options.fields) {
+            rows = rows.map(row => Object.fromEntries(options.fields.map(field => [field, row[field] === undefined ? null : row[field]])));
         }
 
-        res.json(rows);
+        setPaginationHeaders(req, res, countRows[0].total, options.limit, options.offset);
+        // XBLTotal keeps its field names as CSV headers even when there are no rows
+        sendRows(res, rows, format, options.fields || (leaderboardId === XBLTOTAL_LEADERBOARD_ID ? source.columns : null));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Endpoint to get all unique dates
-app.get('/api2/xbltotal/dates', async (req, res) => {
+// Endpoint to get all unique dates (days in the request's time zone)
+app.get('/api2/xbltotal/dates', cacheResponse, async (req, res) => {
     try {
+        const leaderboardId = parseLeaderboardId(req.query.leaderboard_id);
+        if (leaderboardId === null) {
+            res.status(400).json({ error: 'leaderboard_id must be a positive integer' });
+            return;
+        }
+        const { history } = getLeaderboardSource(leaderboardId);
         const query = `
-            SELECT DISTINCT DATE(folder_date) as date
-            FROM XBLTotal
-            WHERE folder_date IS NOT NULL
-            ORDER BY date DESC
+            SELECT DISTINCT folder_date
+            FROM ${history}
+            WHERE folder_date IS NOT NULL AND leaderboard_id = ? AND ${VISIBLE_SYNC}
+            ORDER BY folder_date DESC
         `;
-        const rows = await runQuery(query);
-        const dates = rows.map(row => row.date);
+        const rows = await runQuery(query, [leaderboardId]);
+        const days = rows.map(row => timezone.toLocalDate(row.folder_date, res.locals.timeZone)).filter(date => date !== null);
+        const dates = [...new Set(days.map(date => date.substring(0, 10)))];
         res.json(dates);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Helper function to check if a table exists
-const tableExists = async (tableName) => {
-    try {
-        const query = `SELECT name FROM sqlite_master WHERE type='table' AND name=?`;
-        const rows = await runQuery(query, [tableName]);
-        return rows.length > 0;
-    } catch (err) {
-        return false;
+// Numeric XBLTotal columns that can be charted, plus ratios derived from them
+const CHART_COLUMNS = ['rank', 'first_place_finishes', 'second_place_finishes', 'third_place_finishes',
+    'races_completed', 'kudos_rank', 'kudos'];
+const DERIVED_METRICS = {
+    podiums: (row) => (row.first_place_finishes || 0) + (row.second_place_finishes || 0) + (row.third_place_finishes || 0),
+    win_rate: (row) => row.races_completed > 0 ? round((row.first_place_finishes || 0) / row.races_completed) : null,
+    podium_rate: (row) => row.races_completed > 0 ? round(DERIVED_METRICS.podiums(row) / row.races_completed) : null,
+    kudos_per_race: (row) => row.races_completed > 0 ? round((row.kudos || 0) / row.races_completed, 2) : null
+};
+const CHART_BUCKETS = ['hour', 'day', 'week', 'month'];
+
+// Helper function to get the bucket a folder_date ("2024-11-26 17:55:21", UTC) falls into in a time zone.
+// Hours are labelled with the timestamp they start at, days, weeks and months with their local date.
+const getBucketKey = (folderDate, bucket, timeZone) => {
+    const localDate = timezone.toLocalDate(folderDate, timeZone);
+    switch (bucket) {
+        case 'hour':
+            return timezone.toIsoString(timezone.fromLocalDate(localDate.substring(0, 13) + ':00:00', timeZone), timeZone);
+        case 'week': {
+            // Weeks start on Monday and are labelled with that day
+            const date = new Date(localDate.substring(0, 10) + 'T00:00:00Z');
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return date.toISOString().substring(0, 10);
+        }
+        case 'month':
+            return localDate.substring(0, 7);
+        default:
+            return localDate.substring(0, 10);
+    }
+};
+
+// Helper function to pick the chart players: the comma-separated players parameter,
+// or the top players by kudos from the latest sync
+const getChartPlayers = async (players, top) => {
+    if (players) {
+        const names = players.split(',').map(name => name.trim()).filter(name => name !== '');
+        return [...new Set(await Promise.all(names.map(resolvePlayerName)))];
     }
+    const latestSyncId = await getLatestSyncId();
+    const topRows = await runQuery(`
+        SELECT ${PLAYER_NAME} as name, MAX(t.kudos) as max_kudos
+        FROM ${snapshots.snapshotSource('XBLTotal')} t
+        ${IDENTITY_JOIN}
+        GROUP BY ${PLAYER_NAME}
+        ORDER BY max_kudos DESC
+        LIMIT ?
+    `, [...snapshots.snapshotParams(XBLTOTAL_LEADERBOARD_ID, latestSyncId || ''), top]);
+    return topRows.map(row => row.name);
+};
+
+// Helper function to get each player's latest snapshot per bucket (cut in timeZone) within a date range (from
+// getDateRangeConditions): { name: [{ date: bucket key, sync_date, row }] } in the order of users, with
+// names spelled as stored. Players are on every sync they were on the board for, not only the syncs that
+// stored a row for them. Players without data are left out.
+const getBucketedHistory = async (users, range, bucket, timeZone) => {
+    // Keep the latest snapshot per player per bucket (syncs are visited in date order)
+    const latestByBucket = new Map();
+    await snapshots.walkHistory(db, { names: users, to: range.to }, (sync, players) => {
+        if (range.from && sync.date < range.from) return;
+        const date = getBucketKey(sync.date, bucket, timeZone);
+        players.forEach((row, name) => {
+            latestByBucket.set(`${name}|${date}`, { name, date, sync_date: sync.date, row });
+        });
+    });
+
+    const found = new Map();
+    latestByBucket.forEach(({ name }) => found.set(name.toLowerCase(), name));
+    const history = {};
+    users.forEach(user => {
+        if (found.has(user.toLowerCase())) history[found.get(user.toLowerCase())] = [];
+    });
+    latestByBucket.forEach(({ name, ...point }) => {
+        history[name].push(point);
+    });
+    return history;
 };
 
-// Helper function to check if a column exists in a table
-const columnExists = async (tableName, columnName) => {
+// Endpoint for chart data - one data point per bucket per player, using the latest snapshot in each bucket.
+// Query parameters:
+//   metric  - any numeric XBLTotal column or a derived ratio (default kudos)
+//   top     - number of top players by kudos in the latest sync (default 10), or
+//   players - comma-separated list of player names instead of the top players
+//   from/to - date range (YYYY-MM-DD[ HH[:MM[:SS]]])
+//   bucket  - hour, day, week or month (default day)
+app.get('/api2/xbltotal/chart', cacheResponse, async (req, res) => {
     try {
-        // PRAGMA doesn't support parameterized queries, so we need to sanitize the table name
-        // Only allow alphanumeric and underscore characters
-        if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-            return false;
+        // Kudos only exist on the XBLTotal board
+        const leaderboardId = parseLeaderboardId(req.query.leaderboard_id);
+        if (leaderboardId !== XBLTOTAL_LEADERBOARD_ID) {
+            res.status(400).json({ error: `Chart data is only available for leaderboard_id ${XBLTOTAL_LEADERBOARD_ID}` });
+            return;
+        }
+
+        const format = req.query.format || 'json';
+        if (!FORMATS.includes(format)) {
+            res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+            return;
+        }
+        const metric = req.query.metric || 'kudos';
+        if (!CHART_COLUMNS.includes(metric) && !DERIVED_METRICS[metric]) {
+            res.status(400).json({ error: `metric must be one of ${[...CHART_COLUMNS, ...Object.keys(DERIVED_METRICS)].join(', ')}` });
+            return;
+        }
+        const bucket = req.query.bucket || 'day';
+        if (!CHART_BUCKETS.includes(bucket)) {
+            res.status(400).json({ error: `bucket must be one of ${CHART_BUCKETS.join(', ')}` });
+            return;
+        }
+        const top = req.query.top === undefined ? 10 : Number(req.query.top);
+        if (!Number.isInteger(top) || top < 1 || top > 100) {
+            res.status(400).json({ error: 'top must be an integer between 1 and 100' });
+            return;
+        }
+        const range = getDateRangeConditions(req.query.from, req.query.to, res.locals.timeZone);
+        if (!range) {
+            res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+            return;
+        }
+
+        const users = await getChartPlayers(req.query.players, top);
+        const history = await getBucketedHistory(users, range, bucket, res.locals.timeZone);
+
+        // Organize data by user for easier chart consumption
+        const chartData = {};
+        Object.entries(history).forEach(([name, points]) => {
+            chartData[name] = points.map(({ date, row }) => {
+                const value = DERIVED_METRICS[metric] ? DERIVED_METRICS[metric](row) : row[metric];
+                return { date, [metric]: value === null || value === undefined ? 0 : value };
+            });
+        });
+
+        if (format === 'json') {
+            res.json(chartData);
+        } else {
+            // Flat rows of name, date and the metric for CSV/NDJSON
+            const chartRows = [];
+            Object.entries(chartData).forEach(([name, series]) => {
+                series.forEach(point => chartRows.push({ name, ...point }));
+            });
+            sendRows(res, chartRows, format, ['name', 'date', metric]);
         }
-        const query = `PRAGMA table_info(${tableName})`;
-        const rows = await runQuery(query, []);
-        return rows.some(row => row.name === columnName);
     } catch (err) {
-        return false;
+        console.error('Error in chart endpoint:', err);
+        res.status(500).json({ error: err.message });
     }
+});
+
+// Metrics that can be projected: lifetime counters that only grow
+const PROJECTION_METRICS = ['kudos', 'races_completed', 'first_place_finishes'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Helper function to fit a straight line through points [{ x, y }] by least squares.
+// Returns the slope and how well the line fits (r_squared, null when the values never change).
+const fitLine = (points) => {
+    const n = points.length;
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    points.forEach(point => {
+        sxx += (point.x - meanX) * (point.x - meanX);
+        sxy += (point.x - meanX) * (point.y - meanY);
+        syy += (point.y - meanY) * (point.y - meanY);
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { slope, r_squared: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : null };
 };
 
-// Helper function to get the column name for a table (handles generic field names)
-const getColumnName = (tableName, logicalColumnName) => {
-    // XBLTotal1, XBLTotal2, XBLTotal3 use generic field names
-    // Mapping: field1=id, field2=leaderboard_id, field3=rank, field4=name, 
-    // field5=first_place_finishes, field6=second_place_finishes, field7=third_place_finishes,
-    // field8=races_completed, field9=kudos_rank, field10=kudos, field11=folder_date,
-    // field12=data_date, field13=sync_id
-    const fieldMapping = {
-        'id': 'field1',
-        'leaderboard_id': 'field2',
-        'rank': 'field3',
-        'name': 'field4',
-        'first_place_finishes': 'field5',
-        'second_place_finishes': 'field6',
-        'third_place_finishes': 'field7',
-        'races_completed': 'field8',
-        'kudos_rank': 'field9',
-        'kudos': 'field10',
-        'folder_date': 'field11',
-        'data_date': 'field12',
-        'sync_id': 'field13'
+// Helper function to rate how far a projection can be trusted. Steady growth on most days of the
+// window scores high; bursts of play or long breaks score low.
+const getConfidence = (fit, activeDays, windowDays) => {
+    const score = round((fit.r_squared || 0) * Math.min(1, activeDays / windowDays), 2);
+    return {
+        level: score >= 0.75 ? 'high' : score >= 0.4 ? 'medium' : 'low',
+        score,
+        r_squared: fit.r_squared === null ? null : round(fit.r_squared),
+        active_days: activeDays
     };
-    
-    if (tableName === 'XBLTotal1' || tableName === 'XBLTotal2' || tableName === 'XBLTotal3') {
-        return fieldMapping[logicalColumnName] || logicalColumnName;
-    }
-    
-    // XBLTotal uses actual column names
-    return logicalColumnName;
 };
 
-// Endpoint for chart data - returns all historical data with one data point per day per user (top 10 only)
-app.get('/api2/xbltotal/chart', async (req, res) => {
+// Helper function to add days to a YYYY-MM-DD date
+const addDays = (day, days) => new Date(new Date(day + 'T00:00:00Z').getTime() + days * DAY_MS).toISOString().substring(0, 10);
+
+// Endpoint to project growth forward from each player's recent per-day series (the same daily
+// snapshots /api2/xbltotal/chart uses), with target dates and predicted overtakes.
+// Query parameters:
+//   metric  - kudos (default), races_completed or first_place_finishes
+//   top     - number of top players by kudos in the latest sync (default 10), or
+//   players - comma-separated list of player names
+//   window  - days of history to fit (default 14)
+//   horizon - days to project forward (default 30); overtakes further out are left out
+//   target  - optional value to estimate the date each player reaches
+app.get('/api2/projections', cacheResponse, async (req, res) => {
     try {
-        // Check which tables exist and have required columns
-        const tableChecks = {
-            XBLTotal: { exists: false, hasName: false, hasSyncId: false, hasFolderDate: false, hasKudos: false },
-            XBLTotal1: { exists: false, hasName: false, hasSyncId: false, hasFolderDate: false, hasKudos: false },
-            XBLTotal2: { exists: false, hasName: false, hasSyncId: false, hasFolderDate: false, hasKudos: false },
-            XBLTotal3: { exists: false, hasName: false, hasSyncId: false, hasFolderDate: false, hasKudos: false }
-        };
-        
-        for (const tableName of Object.keys(tableChecks)) {
-            tableChecks[tableName].exists = await tableExists(tableName);
-            if (tableChecks[tableName].exists) {
-                // For XBLTotal1, XBLTotal2, XBLTotal3, check for field4 (name), field10 (kudos), field11 (folder_date), field13 (sync_id)
-                if (tableName === 'XBLTotal1' || tableName === 'XBLTotal2' || tableName === 'XBLTotal3') {
-                    tableChecks[tableName].hasName = await columnExists(tableName, 'field4');
-                    tableChecks[tableName].hasSyncId = await columnExists(tableName, 'field13');
-                    tableChecks[tableName].hasFolderDate = await columnExists(tableName, 'field11');
-                    tableChecks[tableName].hasKudos = await columnExists(tableName, 'field10');
-                } else {
-                    // XBLTotal uses actual column names
-                    tableChecks[tableName].hasName = await columnExists(tableName, 'name');
-                    tableChecks[tableName].hasSyncId = await columnExists(tableName, 'sync_id');
-                    tableChecks[tableName].hasFolderDate = await columnExists(tableName, 'folder_date');
-                    tableChecks[tableName].hasKudos = await columnExists(tableName, 'kudos');
-                }
-            }
+        const metric = req.query.metric || 'kudos';
+        if (!PROJECTION_METRICS.includes(metric)) {
+            res.status(400).json({ error: `metric must be one of ${PROJECTION_METRICS.join(', ')}` });
+            return;
         }
-        
-        console.log('Table checks:', JSON.stringify(tableChecks, null, 2));
-        
-        // First, get the top 10 users by kudos from the latest sync
-        // Only check tables that have sync_id, name, and kudos (XBLTotal, XBLTotal1, XBLTotal2)
-        const latestSyncId = await getLatestSyncId();
-        const top10Parts = [];
-        const top10Params = [];
-        
-        for (const [tableName, checks] of Object.entries(tableChecks)) {
-            if (checks.exists && checks.hasName && checks.hasSyncId && checks.hasKudos) {
-                const nameCol = getColumnName(tableName, 'name');
-                const kudosCol = getColumnName(tableName, 'kudos');
-                const syncIdCol = getColumnName(tableName, 'sync_id');
-                top10Parts.push(`SELECT ${nameCol} as name, ${kudosCol} as kudos FROM ${tableName} WHERE ${syncIdCol} = ?`);
-                top10Params.push(latestSyncId || '');
-                console.log(`Including ${tableName} in top 10 query`);
-            }
+        const top = req.query.top === undefined ? 10 : Number(req.query.top);
+        const windowDays = req.query.window === undefined ? 14 : Number(req.query.window);
+        const horizon = req.query.horizon === undefined ? 30 : Number(req.query.horizon);
+        const target = req.query.target === undefined ? null : Number(req.query.target);
+        if (!Number.isInteger(top) || top < 1 || top > 100) {
+            res.status(400).json({ error: 'top must be an integer between 1 and 100' });
+            return;
         }
-        
-        if (top10Parts.length === 0) {
-            console.log('No tables available for top 10 query');
-            res.json({});
+        if (!Number.isInteger(windowDays) || windowDays < 2 || windowDays > 365) {
+            res.status(400).json({ error: 'window must be a number of days between 2 and 365' });
             return;
         }
-        
-        let top10Query = `
-            SELECT name, MAX(kudos) as max_kudos
-            FROM (
-                ${top10Parts.join(' UNION ALL ')}
-            )
-            GROUP BY name
-            ORDER BY max_kudos DESC
-            LIMIT 10
-        `;
-        
-        console.log('Top 10 query:', top10Query);
-        const top10Rows = await runQuery(top10Query, top10Params);
-        console.log(`Found ${top10Rows.length} top 10 users`);
-        
-        if (top10Rows.length === 0) {
-            res.json({});
+        if (!Number.isInteger(horizon) || horizon < 1 || horizon > 3650) {
+            res.status(400).json({ error: 'horizon must be a number of days between 1 and 3650' });
             return;
         }
-        
-        const top10Users = top10Rows.map(row => row.name);
-        const placeholders = top10Users.map(() => '?').join(',');
-        
-        // Build query parts for historical data from all available tables
-        // Include tables that have name, folder_date, and kudos (even if they don't have sync_id)
-        const dataParts = [];
-        const dataParams = [];
-        
-        for (const [tableName, checks] of Object.entries(tableChecks)) {
-            if (checks.exists && checks.hasName && checks.hasFolderDate && checks.hasKudos) {
-                const nameCol = getColumnName(tableName, 'name');
-                const kudosCol = getColumnName(tableName, 'kudos');
-                const folderDateCol = getColumnName(tableName, 'folder_date');
-                // Ensure name is not null and not empty string
-                dataParts.push(`SELECT ${folderDateCol} as folder_date, ${nameCol} as name, ${kudosCol} as kudos FROM ${tableName} WHERE ${folderDateCol} IS NOT NULL AND ${nameCol} IS NOT NULL AND ${nameCol} != '' AND ${nameCol} IN (${placeholders})`);
-                dataParams.push(...top10Users);
-                console.log(`Including ${tableName} in historical data query (using ${nameCol} for name)`);
-            } else {
-                console.log(`Skipping ${tableName}: exists=${checks.exists}, hasName=${checks.hasName}, hasFolderDate=${checks.hasFolderDate}, hasKudos=${checks.hasKudos}`);
-            }
+        if (target !== null && !(isFinite(target) && req.query.target !== '')) {
+            res.status(400).json({ error: 'target must be a number' });
+            return;
         }
-        
-        if (dataParts.length === 0) {
-            console.log('No tables available for historical data query');
-            res.json({});
+
+        // The window ends at the latest successful sync, not today, so a stalled fetcher doesn't skew the fit
+        const latest = await getLatestSyncDate();
+        if (!latest) {
+            res.status(404).json({ error: 'No data found' });
             return;
         }
-        
-        console.log(`Building query with ${dataParts.length} table(s)`);
-        
-        // Query to get one data point per day per user (most recent for that day)
-        // Make sure to select name explicitly and ensure it's not null, trim whitespace
-        const query = `
-            SELECT 
-                DATE(t1.folder_date) as date,
-                TRIM(COALESCE(t1.name, '')) as name,
-                t1.kudos
-            FROM (
-                ${dataParts.join(' UNION ALL ')}
-            ) t1
-            INNER JOIN (
-                SELECT 
-                    TRIM(COALESCE(name, '')) as name,
-                    DATE(folder_date) as date,
-                    MAX(folder_date) as max_folder_date
-                FROM (
-                    ${dataParts.join(' UNION ALL ')}
-                )
-                WHERE name IS NOT NULL AND TRIM(COALESCE(name, '')) != ''
-                GROUP BY TRIM(COALESCE(name, '')), DATE(folder_date)
-            ) t2 ON TRIM(COALESCE(t1.name, '')) = t2.name 
-                AND DATE(t1.folder_date) = t2.date 
-                AND t1.folder_date = t2.max_folder_date
-            WHERE t1.name IS NOT NULL AND TRIM(COALESCE(t1.name, '')) != ''
-            ORDER BY date ASC, TRIM(COALESCE(t1.name, '')) ASC
-        `;
-        
-        const rows = await runQuery(query, [...dataParams, ...dataParams]);
-        console.log(`Retrieved ${rows.length} rows from historical data query`);
-        
-        // Debug: log first few rows to check structure
-        if (rows.length > 0) {
-            console.log('Sample row:', JSON.stringify(rows[0]));
+        const asOf = timezone.toLocalDate(latest, res.locals.timeZone).substring(0, 10);
+        const windowStart = addDays(asOf, -windowDays);
+
+        const users = await getChartPlayers(req.query.players, top);
+        const range = getDateRangeConditions(windowStart, asOf, res.locals.timeZone);
+        const history = await getBucketedHistory(users, range, 'day', res.locals.timeZone);
+
+        const players = [];
+        const slopes = new Map();
+        Object.entries(history).forEach(([name, points]) => {
+            if (points.length < 2) return;
+            const start = new Date(points[0].date + 'T00:00:00Z').getTime();
+            const fit = fitLine(points.map(point => ({ x: (new Date(point.date + 'T00:00:00Z').getTime() - start) / DAY_MS, y: point.row[metric] || 0 })));
+            const activeDays = points.filter((point, index) => index > 0 && (point.row[metric] || 0) > (points[index - 1].row[metric] || 0)).length;
+            const current = points[points.length - 1].row[metric] || 0;
+            const slope = Math.max(0, fit.slope);
+
+            const player = {
+                name,
+                current,
+                per_day: round(slope, 2),
+                projected: Math.round(current + slope * horizon),
+                confidence: getConfidence(fit, activeDays, windowDays)
+            };
+            if (target !== null) {
+                player.target_date = current >= target ? asOf : slope > 0 ? addDays(asOf, Math.ceil((target - current) / slope)) : null;
+            }
+            players.push(player);
+            slopes.set(name, slope);
+        });
+
+        // A player behind someone who grows faster is predicted to pass them
+        const overtakes = [];
+        players.forEach(a => {
+            players.forEach(b => {
+                if (a.current >= b.current || slopes.get(a.name) <= slopes.get(b.name)) return;
+                const days = Math.ceil((b.current - a.current) / (slopes.get(a.name) - slopes.get(b.name)));
+                if (days > horizon) return;
+                overtakes.push({
+                    name: a.name,
+                    passes: b.name,
+                    in_days: days,
+                    date: addDays(asOf, days),
+                    // As sure as the less steady of the two
+                    confidence: CONFIDENCE_LEVELS[Math.min(CONFIDENCE_LEVELS.indexOf(a.confidence.level), CONFIDENCE_LEVELS.indexOf(b.confidence.level))],
+                    description: `${a.name} passes ${b.name} in about ${days} day${days === 1 ? '' : 's'}`
+                });
+            });
+        });
+        overtakes.sort((a, b) => a.in_days - b.in_days);
+
+        res.json({
+            metric,
+            as_of: asOf,
+            window_days: windowDays,
+            horizon_days: horizon,
+            target,
+            players,
+            overtakes
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint to compare two syncs: rank movement and stat deltas per player, plus who entered or left the board.
+// from/to accept a sync_id or a date; to defaults to the latest sync and from to the sync before it.
+app.get('/api2/xbltotal/diff', cacheResponse, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        const toSync = await resolveSync(to || await getLatestSyncId() || '', res.locals.timeZone);
+        if (!toSync) {
+            res.status(404).json({ error: 'No sync found for "to"' });
+            return;
         }
-        
-        // Organize data by user for easier chart consumption
-        const chartData = {};
-        
-        rows.forEach(row => {
-            // Ensure name is trimmed and not empty
-            const userName = row.name ? String(row.name).trim() : null;
-            if (!userName || userName === '') {
-                console.warn('Row missing name:', JSON.stringify(row));
+        const fromSync = from ? await resolveSync(from, res.locals.timeZone) : await getPreviousSync(toSync.sync_id);
+        if (!fromSync) {
+            res.status(404).json({ error: 'No sync found for "from"' });
+            return;
+        }
+
+        const [before, after] = await Promise.all([getSnapshot(fromSync.sync_id), getSnapshot(toSync.sync_id)]);
+        const podiums = (row) => (row.first_place_finishes || 0) + (row.second_place_finishes || 0) + (row.third_place_finishes || 0);
+
+        const changes = [];
+        const entered = [];
+        after.forEach((row, name) => {
+            const previous = before.get(name);
+            if (!previous) {
+                entered.push({ name, rank: row.rank, kudos: row.kudos });
                 return;
             }
-            if (!chartData[userName]) {
-                chartData[userName] = [];
-            }
-            
-            chartData[userName].push({
-                date: row.date,
-                kudos: row.kudos || 0
+            changes.push({
+                name,
+                rank_from: previous.rank,
+                rank_to: row.rank,
+                // Positive means the player moved up the board
+                rank_change: previous.rank - row.rank,
+                deltas: {
+                    first_place_finishes: (row.first_place_finishes || 0) - (previous.first_place_finishes || 0),
+                    podiums: podiums(row) - podiums(previous),
+                    races_completed: (row.races_completed || 0) - (previous.races_completed || 0),
+                    kudos: (row.kudos || 0) - (previous.kudos || 0)
+                }
             });
         });
-        
-        console.log(`Returning chart data for ${Object.keys(chartData).length} users`);
-        res.json(chartData);
+
+        const left = [];
+        before.forEach((row, name) => {
+            if (!after.has(name)) {
+                left.push({ name, rank: row.rank, kudos: row.kudos });
+            }
+        });
+
+        res.json({
+            from: timezone.localizeRow(fromSync, res.locals.timeZone),
+            to: timezone.localizeRow(toSync, res.locals.timeZone),
+            changes,
+            entered,
+            left
+        });
     } catch (err) {
-        console.error('Error in chart endpoint:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api2/xbltotal/:date', async (req, res) => {
+app.get('/api2/xbltotal/:date', cacheResponse, async (req, res) => {
     try {
         const dateParam = req.params.date;
+        const format = req.query.format || 'json';
+        if (!FORMATS.includes(format)) {
+            res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+            return;
+        }
+        const leaderboardId = parseLeaderboardId(req.query.leaderboard_id);
+        if (leaderboardId === null) {
+            res.status(400).json({ error: 'leaderboard_id must be a positive integer' });
+            return;
+        }
+        const source = getLeaderboardSource(leaderboardId);
         
-        // Find the closest folder_date hour across all tables
-        const closestHour = await getClosestFolderDateHour(dateParam);
+        // Find the closest hour with a sync
+        const closestHour = await getClosestFolderDateHour(dateParam, res.locals.timeZone);
         
         if (!closestHour) {
             res.status(404).json({ error: 'No data found for the specified date' });
             return;
         }
         
-        // Build query to merge data from all tables, filtering by the closest hour
-        // Use LIKE to match the hour pattern (e.g., "2024-11-26 17%")
-        const hourPattern = closestHour + '%';
-        
-        let query = `
-            SELECT 
-                t.id,
-                t.leaderboard_id,
-                t.rank,
-                t.name,
-                t.first_place_finishes,
-                t.second_place_finishes,
-                t.third_place_finishes,
-                t.races_completed,
-                t.kudos_rank,
-                t.kudos,
-                t.folder_date,
-                t.data_date,
-                t.sync_id
-            FROM XBLTotal t
-            WHERE t.folder_date LIKE ?
+        // Rebuild the board as of the latest sync in that hour
+        const sync = await getLatestSyncInHour(closestHour, res.locals.timeZone);
+        if (!sync) {
+            res.status(404).json({ error: 'No data found for the specified date' });
+            return;
+        }
+        const query = `
+            SELECT ${source.columns.map(column => `t.${column}`).join(', ')}
+            FROM ${snapshots.snapshotSource(source.table)} t
+            ORDER BY t.rank ASC, t.id ASC
         `;
         
-        const rows = await runQuery(query, [hourPattern]);
+        const rows = (await runQuery(query, snapshots.snapshotParams(leaderboardId, sync.sync_id))).map(source.mapRow);
         
-        // Deduplicate by name - if same name appears multiple times in the same hour, keep the most recent one
-        const nameMap = new Map();
-        
-        rows.forEach(row => {
-            const name = row.name;
-            if (!name) return; // Skip rows without a name
-            
-            if (!nameMap.has(name)) {
-                nameMap.set(name, row);
-            } else {
-                // If we already have this name, keep the one with the most recent folder_date
-                const existing = nameMap.get(name);
-                const currentDate = row.folder_date ? new Date(row.folder_date) : null;
-                const existingDate = existing.folder_date ? new Date(existing.folder_date) : null;
-                
-                if (currentDate && (!existingDate || currentDate > existingDate)) {
-                    nameMap.set(name, row);
-                }
-            }
-        });
-        
-        const deduplicatedRows = Array.from(nameMap.values());
-        
-        if (deduplicatedRows.length === 0) {
+        if (rows.length === 0) {
             res.status(404).json({ error: 'No data found for the specified date' });
         } else {
-            res.json(deduplicatedRows);
+            sendRows(res, rows, format, leaderboardId === XBLTOTAL_LEADERBOARD_ID ? source.columns : null);
         }
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
+// Endpoint for a player's full history across every sync, with derived stats.
+// Names merged into the same identity share one history; each point keeps the name it was stored under.
+// Optional from/to (YYYY-MM-DD[ HH[:MM[:SS]]]) limit the range.
+app.get('/api2/players/:name', cacheResponse, async (req, res) => {
+    try {
+        const name = await resolvePlayerName(req.params.name.trim());
+        const range = getDateRangeConditions(req.query.from, req.query.to, res.locals.timeZone);
+        if (!range) {
+            res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+            return;
+        }
+
+        // One point per sync the player was on the board for
+        let playerName = null;
+        const history = [];
+        await snapshots.walkHistory(db, { names: [name], to: range.to }, (sync, players) => {
+            if (range.from && sync.date < range.from) return;
+            players.forEach((row, player) => {
+                playerName = player;
+                history.push({
+                    sync_id: sync.sync_id,
+                    folder_date: sync.date,
+                    name: row.gamertag,
+                    rank: row.rank,
+                    first_place_finishes: row.first_place_finishes,
+                    second_place_finishes: row.second_place_finishes,
+                    third_place_finishes: row.third_place_finishes,
+                    races_completed: row.races_completed,
+                    kudos_rank: row.kudos_rank,
+                    kudos: row.kudos
+                });
+            });
+        });
+
+        if (history.length === 0) {
+            res.status(404).json({ error: 'No data found for the specified player' });
+            return;
+        }
+
+        const first = history[0];
+        const latest = history[history.length - 1];
+        const races = latest.races_completed || 0;
+        const podiums = (latest.first_place_finishes || 0) + (latest.second_place_finishes || 0) + (latest.third_place_finishes || 0);
+        const ranks = history.map(row => row.rank).filter(rank => rank > 0);
+        const days = (new Date(latest.folder_date) - new Date(first.folder_date)) / (24 * 60 * 60 * 1000);
+
+        res.json({
+            name: playerName,
+            aliases: await getAliases(db, name),
+            first_seen: timezone.toIsoString(first.folder_date, res.locals.timeZone),
+            last_seen: timezone.toIsoString(latest.folder_date, res.locals.timeZone),
+            current: timezone.localizeRow(latest, res.locals.timeZone),
+            stats: {
+                win_rate: races > 0 ? round((latest.first_place_finishes || 0) / races) : null,
+                podium_rate: races > 0 ? round(podiums / races) : null,
+                kudos_per_race: races > 0 ? round((latest.kudos || 0) / races, 2) : null,
+                best_rank: ranks.length > 0 ? Math.min(...ranks) : null,
+                worst_rank: ranks.length > 0 ? Math.max(...ranks) : null,
+                avg_races_per_day: days > 0 ? round((races - (first.races_completed || 0)) / days, 2) : null
+            },
+            history: timezone.localizeRows(history, res.locals.timeZone)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = ['rank', 'kudos_rank'];
+const COMPARE_METRICS = ['rank', 'first_place_finishes', 'races_completed', 'kudos'];
+const MAX_COMPARE_PLAYERS = 10;
+
+// Helper function to compare the players' values of one metric at every shared timestamp: the leader and
+// gap per point, how long each player led, when the lead changed hands, and the current deltas to the leader
+const compareMetric = (names, points, metric) => {
+    const lowerIsBetter = LOWER_IS_BETTER.includes(metric);
+    const valueOf = (row) => (DERIVED_METRICS[metric] ? DERIVED_METRICS[metric](row) : row[metric]);
+    const isBetter = (a, b) => (lowerIsBetter ? a < b : a > b);
+
+    const series = points.map(point => {
+        const values = {};
+        names.forEach(name => {
+            values[name] = valueOf(point.rows.get(name));
+        });
+        // Players without a value (or ranked 0, i.e. unranked) can't lead
+        const ranked = names.filter(name => values[name] !== null && values[name] !== undefined && !(lowerIsBetter && values[name] <= 0))
+            .sort((a, b) => (isBetter(values[a], values[b]) ? -1 : isBetter(values[b], values[a]) ? 1 : 0));
+        const tied = ranked.length > 1 && values[ranked[0]] === values[ranked[1]];
+        return {
+            date: point.date,
+            values,
+            // null when the best value is shared
+            leader: ranked.length > 0 && !tied ? ranked[0] : null,
+            gap: ranked.length > 1 ? round(Math.abs(values[ranked[0]] - values[ranked[1]])) : null
+        };
+    });
+
+    // A player leads from the point they are ahead until the next point
+    const leaders = {};
+    names.forEach(name => {
+        leaders[name] = { points: 0, hours: 0 };
+    });
+    const leadChanges = [];
+    series.forEach((point, index) => {
+        if (point.leader) {
+            leaders[point.leader].points++;
+            if (index + 1 < series.length) {
+                leaders[point.leader].hours += (new Date(series[index + 1].date) - new Date(point.date)) / (60 * 60 * 1000);
+            }
+        }
+        const previous = index > 0 ? series[index - 1].leader : undefined;
+        if (index > 0 && point.leader !== previous) {
+            leadChanges.push({ date: point.date, from: previous, to: point.leader });
+        }
+    });
+    Object.values(leaders).forEach(leader => {
+        leader.hours = round(leader.hours, 2);
+    });
+
+    const latest = series[series.length - 1];
+    const best = latest.leader ? latest.values[latest.leader] : null;
+    const deltas = {};
+    names.forEach(name => {
+        const value = latest.values[name];
+        deltas[name] = best === null || value === null || value === undefined ? null : round(value - best);
+    });
+
+    return {
+        lower_is_better: lowerIsBetter,
+        series,
+        leaders,
+        lead_changes: leadChanges,
+        current: { date: latest.date, values: latest.values, leader: latest.leader, deltas }
+    };
+};
+
+// Endpoint to compare players head to head. Histories are lined up on the hours that have a snapshot of
+// every player, using each player's latest snapshot in the hour.
+// Query parameters:
+//   players - comma-separated player names (2-10)
+//   metrics - comma-separated numeric XBLTotal columns or derived ratios (default rank, first_place_finishes,
+//             races_completed, kudos)
+//   from/to - date range (YYYY-MM-DD[ HH[:MM[:SS]]])
+app.get('/api2/compare', cacheResponse, async (req, res) => {
+    try {
+        const requested = (req.query.players || '').split(',').map(name => name.trim()).filter(name => name !== '');
+        const resolved = await Promise.all(requested.map(resolvePlayerName));
+        let names = resolved.filter((name, index) => resolved.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+        if (names.length < 2 || names.length > MAX_COMPARE_PLAYERS) {
+            res.status(400).json({ error: `players must list 2 to ${MAX_COMPARE_PLAYERS} different players` });
+            return;
+        }
+        const metrics = req.query.metrics ? req.query.metrics.split(',').map(metric => metric.trim()) : COMPARE_METRICS;
+        const unknownMetric = metrics.find(metric => !CHART_COLUMNS.includes(metric) && !DERIVED_METRICS[metric]);
+        if (unknownMetric) {
+            res.status(400).json({ error: `Unknown metric: ${unknownMetric}` });
+            return;
+        }
+        const range = getDateRangeConditions(req.query.from, req.query.to, res.locals.timeZone);
+        if (!range) {
+            res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD[ HH[:MM[:SS]]])' });
+            return;
+        }
+
+        // Each player's latest row per hour. Names are matched case-insensitively; use the stored spelling from here on.
+        const history = await getBucketedHistory(names, range, 'hour', res.locals.timeZone);
+        const found = new Map(Object.keys(history).map(name => [name.toLowerCase(), name]));
+        const missing = names.filter(name => !found.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            res.status(404).json({ error: `No data found for ${missing.join(', ')}` });
+            return;
+        }
+        names = names.map(name => found.get(name.toLowerCase()));
+        const hours = new Map();
+        names.forEach(name => {
+            history[name].forEach(point => {
+                if (!hours.has(point.date)) hours.set(point.date, { date: point.sync_date, rows: new Map() });
+                const hour = hours.get(point.date);
+                hour.rows.set(name, point.row);
+                if (point.sync_date > hour.date) hour.date = point.sync_date;
+            });
+        });
+        // Points are sorted by their UTC sync_date, then dated in the request's time zone
+        const points = Array.from(hours.values())
+            .filter(point => point.rows.size === names.length)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(point => timezone.localizeRow(point, res.locals.timeZone, ['date']));
+        if (points.length === 0) {
+            res.status(404).json({ error: 'The players have no snapshots in common' });
+            return;
+        }
+
+        const result = {};
+        metrics.forEach(metric => {
+            result[metric] = compareMetric(names, points, metric);
+        });
+        res.json({
+            players: names,
+            from: points[0].date,
+            to: points[points.length - 1].date,
+            points: points.length,
+            metrics: result
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Helper function to read the milestone filters and find the matching events. Returns { error } for bad input.
+const getMilestoneEvents = async (query, timeZone) => {
+    const { player, type, from, to } = query;
+    const range = getDateRangeConditions(from, to, timeZone);
+    if (!range) {
+        return { error: 'from and to must be dates (YYYY-MM-DD[ HH[:MM[:SS]]])' };
+    }
+    const types = type ? String(type).split(',').map(item => item.trim()) : MILESTONE_TYPES;
+    const unknownType = types.find(item => !MILESTONE_TYPES.includes(item));
+    if (unknownType) {
+        return { error: `type must be one of ${MILESTONE_TYPES.join(', ')}` };
+    }
+    const limit = query.limit === undefined ? 100 : (/^\d+$/.test(query.limit) ? parseInt(query.limit) : NaN);
+    if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    let events = await findMilestones(db, { from: range.from, to: range.to });
+    events = events.filter(event => types.includes(event.type));
+    if (player) {
+        const name = (await resolvePlayerName(player.trim())).toLowerCase();
+        events = events.filter(event => event.name.toLowerCase() === name || (event.other && event.other.toLowerCase() === name));
+    }
+    return { events: events.slice(0, limit) };
+};
+
+// Endpoint for notable events in the XBLTotal history, newest first: lifetime counters crossing round
+// numbers (milestone), new best ranks (best_rank), entering the top 10 (entered_top) and one player
+// passing another (overtake). Each event carries the sync it happened in.
+// Query parameters: player, type (comma-separated), from/to (YYYY-MM-DD[ HH[:MM[:SS]]]), limit (default 100)
+app.get('/api2/milestones', cacheResponse, async (req, res) => {
+    try {
+        const result = await getMilestoneEvents(req.query, res.locals.timeZone);
+        if (result.error) {
+            res.status(400).json({ error: result.error });
+            return;
+        }
+        res.json(timezone.localizeRows(result.events, res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The same events as an Atom (default) or RSS feed, e.g. /api2/milestones/feed?format=rss&player=Name
+app.get('/api2/milestones/feed', cacheResponse, async (req, res) => {
+    try {
+        const format = req.query.format || 'atom';
+        if (!FEED_FORMATS.includes(format)) {
+            res.status(400).json({ error: `format must be one of ${FEED_FORMATS.join(', ')}` });
+            return;
+        }
+        const result = await getMilestoneEvents(req.query, res.locals.timeZone);
+        if (result.error) {
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const items = result.events.map(event => ({
+            id: 'urn:xbltotal:milestone:' + [event.sync_id, event.type, event.name, event.other || event.metric || event.top]
+                .filter(part => part !== undefined).map(part => encodeURIComponent(part)).join(':'),
+            title: event.description,
+            link: `${baseUrl}/api2/xbltotal/diff?to=${encodeURIComponent(event.sync_id)}`,
+            date: new Date(event.sync_date),
+            summary: `${event.description} (sync ${event.sync_id}, ${timezone.toIsoString(event.folder_date, res.locals.timeZone)})`
+        }));
+        sendFeed(res, format, {
+            id: 'urn:xbltotal:milestones',
+            title: 'PGR2 XBL Total milestones',
+            link: baseUrl + req.originalUrl,
+            updated: items.length > 0 ? items[0].date : new Date(0)
+        }, items);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Helper function to turn period (today, week or all) or from/to into inclusive folder_date bounds for
+// the activity endpoints. Defaults to this week (starting Monday). Days and weeks start at midnight in
+// the given time zone. Returns null for bad input.
+const getActivityRange = (query, timeZone) => {
+    const { from, to } = query;
+    if (from || to) {
+        const range = getDateRangeConditions(from, to, timeZone);
+        if (!range || query.period !== undefined) return null;
+        return { from: range.from, to: range.to };
+    }
+
+    const period = query.period || 'week';
+    if (period === 'all') {
+        return { from: null, to: null };
+    }
+    if (period !== 'today' && period !== 'week') {
+        return null;
+    }
+    const now = activity.toFolderDate(new Date());
+    const start = getBucketKey(now, period === 'today' ? 'day' : 'week', timeZone) + ' 00:00:00';
+    return { from: timezone.fromLocalDate(start, timeZone), to: null };
+};
+
+// Endpoint for who played and how much, derived from races_completed going up between syncs.
+// The activity endpoints are not cached because "today" and "this week" move with the clock.
+// Query parameters:
+//   period  - today, week (default, starting Monday) or all; or
+//   from/to - date range (YYYY-MM-DD[ HH[:MM[:SS]]])
+//   top     - only return the N most active players
+// The heatmap spreads each player's races over the hours (in the tz= time zone) between the two syncs they fell between.
+app.get('/api2/activity', async (req, res) => {
+    try {
+        const range = getActivityRange(req.query, res.locals.timeZone);
+        if (!range) {
+            res.status(400).json({ error: 'Use period=today|week|all or from/to dates (YYYY-MM-DD[ HH[:MM[:SS]]])' });
+            return;
+        }
+        const top = req.query.top === undefined ? null : parseInt(req.query.top);
+        if (top !== null && !(Number.isInteger(top) && top > 0)) {
+            res.status(400).json({ error: 'top must be a positive integer' });
+            return;
+        }
+
+        const intervals = await activity.getActivityIntervals(db, range);
+        const players = activity.summarizePlayers(intervals);
+        res.json({
+            ...timezone.localizeRow({ from: range.from, to: range.to }, res.locals.timeZone, ['from', 'to']),
+            active_players: players.length,
+            total_races: players.reduce((sum, player) => sum + player.races, 0),
+            players: timezone.localizeRows(top ? players.slice(0, top) : players, res.locals.timeZone, ['last_played']),
+            heatmap: activity.buildHeatmap(intervals, res.locals.timeZone)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint for play periods: back-to-back syncs in which a player's races_completed went up, newest first.
+// Takes the same period or from/to parameters as /api2/activity, plus player.
+app.get('/api2/activity/periods', async (req, res) => {
+    try {
+        const range = getActivityRange(req.query, res.locals.timeZone);
+        if (!range) {
+            res.status(400).json({ error: 'Use period=today|week|all or from/to dates (YYYY-MM-DD[ HH[:MM[:SS]]])' });
+            return;
+        }
+        const player = req.query.player ? await resolvePlayerName(req.query.player.trim()) : null;
+        const intervals = await activity.getActivityIntervals(db, { ...range, player });
+        const periods = activity.groupPlayPeriods(intervals)
+            .sort((a, b) => b.end.localeCompare(a.end) || a.name.localeCompare(b.name));
+        res.json(timezone.localizeRows(periods, res.locals.timeZone, ['start', 'end']));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint for active/inactive day streaks over the whole history, longest current active streak first.
+// Optional player limits it to one player.
+app.get('/api2/activity/streaks', cacheResponse, async (req, res) => {
+    try {
+        const latest = await getLatestSyncDate();
+        if (!latest) {
+            res.json([]);
+            return;
+        }
+        const player = req.query.player ? await resolvePlayerName(req.query.player.trim()) : null;
+        const intervals = await activity.getActivityIntervals(db, { player });
+        const activeDays = (streak) => (streak.current_streak.type === 'active' ? streak.current_streak.days : 0);
+        const lastDay = timezone.toLocalDate(latest, res.locals.timeZone).substring(0, 10);
+        const streaks = activity.getStreaks(intervals, lastDay, res.locals.timeZone)
+            .sort((a, b) => activeDays(b) - activeDays(a) || b.longest_active_streak.days - a.longest_active_streak.days ||
+                a.name.localeCompare(b.name));
+        res.json(streaks);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint to export the whole XBLTotal history as CSV (default) or NDJSON: the complete board as of every
+// successful or unchanged sync, oldest first, each row's sync_id being the sync the board is as of.
+// Streamed, so the boards are never all held in memory at once.
+app.get('/api2/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv' && format !== 'ndjson') {
+        res.status(400).json({ error: 'format must be csv or ndjson' });
+        return;
+    }
+
+    const columns = leaderboardSources.xbltotal.columns;
+    const writer = createRowWriter(res, format, columns);
+
+    try {
+        res.attachment(`xbltotal.${format === 'csv' ? 'csv' : 'ndjson'}`);
+        await writer.start();
+
+        // Boards are replayed from the stored changes rather than read per sync, so no query is kept open
+        // while a slow client reads the export
+        await snapshots.replayBoard(db, leaderboardSources.xbltotal.table, XBLTOTAL_LEADERBOARD_ID, async (sync, rows) => {
+            for (const row of rows) {
+                await writer.write(row);
+            }
+        });
+        writer.end();
+    } catch (err) {
+        // A client that disconnected makes the writer reject, which ends the export with nothing to report
+        if (res.destroyed) return;
+        console.error('Error in export endpoint:', err);
+        if (res.headersSent) {
+            res.destroy(err);
+        } else {
+            res.status(500).json({ error: err.message });
+        }
+    }
+});
+
+// Every /api2/admin route needs "Authorization: Bearer <ADMIN_TOKEN>"
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_TOKEN) {
+        res.status(503).json({ error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+        return;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    const token = Buffer.from(match ? match[1].trim() : '');
+    const expected = Buffer.from(ADMIN_TOKEN);
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Invalid or missing admin token' });
+        return;
+    }
+    next();
+};
+app.use('/api2/admin', requireAdmin);
+
+// Helper function to record an admin action in the audit log
+const audit = (req, action, target, details = null) => {
+    return runStatement(`
+        INSERT INTO AuditLog (action, target, details, remote_addr, created_date)
+        VALUES (?, ?, ?, ?, datetime('now'))
+    `, [action, target === undefined || target === null ? null : String(target), details && JSON.stringify(details), req.ip]);
+};
+
+// Helper function to shape a WebhookSubscription row for output (the secret is never returned)
+const formatSubscription = (row, timeZone) => ({
+    id: row.id,
+    url: row.url,
+    rule: JSON.parse(row.rule),
+    has_secret: !!row.secret,
+    active: row.active === 1,
+    created_date: row.created_date && timezone.toIsoString(row.created_date, timeZone)
+});
+
+// Helper function to check the url and rule of a webhook subscription body
+const validateSubscription = async (body, partial = false) => {
+    if (!partial || body.url !== undefined) {
+        const error = await checkWebhookUrl(body.url);
+        if (error) return error;
+    }
+    if (!partial || body.rule !== undefined) {
+        return validateRule(body.rule);
+    }
+    return null;
+};
+
+// Webhook subscription endpoints. They are admin only: subscriptions make the fetcher POST signed
+// payloads to their url, and the delivery log exposes every subscriber.
+app.get('/api2/admin/webhooks', async (req, res) => {
+    try {
+        const rows = await runQuery('SELECT * FROM WebhookSubscription ORDER BY id ASC');
+        res.json(rows.map(row => formatSubscription(row, res.locals.timeZone)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api2/admin/webhooks', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const error = await validateSubscription(body);
+        if (error) {
+            res.status(400).json({ error });
+            return;
+        }
+
+        const result = await runStatement(`
+            INSERT INTO WebhookSubscription (url, rule, secret, active, created_date)
+            VALUES (?, ?, ?, ?, datetime('now'))
+        `, [body.url, JSON.stringify(body.rule), body.secret || null, body.active === false ? 0 : 1]);
+        const rows = await runQuery('SELECT * FROM WebhookSubscription WHERE id = ?', [result.lastID]);
+        await audit(req, 'webhook.create', result.lastID, { url: body.url, rule: body.rule });
+        res.status(201).json(formatSubscription(rows[0], res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api2/admin/webhooks/:id', async (req, res) => {
+    try {
+        const rows = await runQuery('SELECT * FROM WebhookSubscription WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            res.status(404).json({ error: 'Webhook not found' });
+            return;
+        }
+        res.json(formatSubscription(rows[0], res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.patch('/api2/admin/webhooks/:id', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const error = await validateSubscription(body, true);
+        if (error) {
+            res.status(400).json({ error });
+            return;
+        }
+
+        const updates = [];
+        const params = [];
+        if (body.url !== undefined) {
+            updates.push('url = ?');
+            params.push(body.url);
+        }
+        if (body.rule !== undefined) {
+            updates.push('rule = ?');
+            params.push(JSON.stringify(body.rule));
+        }
+        if (body.secret !== undefined) {
+            updates.push('secret = ?');
+            params.push(body.secret || null);
+        }
+        if (body.active !== undefined) {
+            updates.push('active = ?');
+            params.push(body.active ? 1 : 0);
+        }
+        if (updates.length === 0) {
+            res.status(400).json({ error: 'Nothing to update' });
+            return;
+        }
+
+        const result = await runStatement(`UPDATE WebhookSubscription SET ${updates.join(', ')} WHERE id = ?`, [...params, req.params.id]);
+        if (result.changes === 0) {
+            res.status(404).json({ error: 'Webhook not found' });
+            return;
+        }
+        const rows = await runQuery('SELECT * FROM WebhookSubscription WHERE id = ?', [req.params.id]);
+        await audit(req, 'webhook.update', req.params.id, { url: body.url, rule: body.rule, active: body.active });
+        res.json(formatSubscription(rows[0], res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api2/admin/webhooks/:id', async (req, res) => {
+    try {
+        const result = await runStatement('DELETE FROM WebhookSubscription WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) {
+            res.status(404).json({ error: 'Webhook not found' });
+            return;
+        }
+        await runStatement('DELETE FROM WebhookDelivery WHERE subscription_id = ?', [req.params.id]);
+        await audit(req, 'webhook.delete', req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint for the delivery log of one subscription, newest first
+app.get('/api2/admin/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        const rows = await runQuery(`
+            SELECT id, sync_id, status, attempts, response_status, error, payload, created_date
+            FROM WebhookDelivery
+            WHERE subscription_id = ?
+            ORDER BY id DESC
+            LIMIT 100
+        `, [req.params.id]);
+        // Payloads are returned exactly as they were sent
+        res.json(rows.map(row => timezone.localizeRow({ ...row, payload: row.payload ? JSON.parse(row.payload) : null }, res.locals.timeZone)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Live update stream. The fetcher runs as a separate process, so new syncs are found by
+// polling the Sync table while at least one client is connected.
+const streamClients = new Set();
+let streamPoller = null;
+let streamLastSyncDate = null;
+
+// Helper function to summarize what changed in a sync compared with the one before it
+const getSyncSummary = async (sync) => {
+    const previousSync = await getPreviousSync(sync.sync_id);
+    const current = await getSnapshot(sync.sync_id);
+    if (!previousSync) {
+        return { previous_sync_id: null, movers: [], entered: current.size, left: 0 };
+    }
+
+    const previous = await getSnapshot(previousSync.sync_id);
+    const movers = [];
+    let entered = 0;
+    current.forEach((row, name) => {
+        const before = previous.get(name);
+        if (!before) {
+            entered++;
+        } else if (before.rank !== row.rank) {
+            movers.push({ name, rank_from: before.rank, rank_to: row.rank, rank_change: before.rank - row.rank });
+        }
+    });
+    const left = Array.from(previous.keys()).filter(name => !current.has(name)).length;
+
+    // Biggest movers first, capped so events stay small
+    movers.sort((a, b) => Math.abs(b.rank_change) - Math.abs(a.rank_change) || a.rank_to - b.rank_to);
+    return { previous_sync_id: previousSync.sync_id, movers: movers.slice(0, 10), entered, left };
+};
+
+// Helper function to send one SSE event to every connected client, with timestamps in the client's time zone
+const broadcast = (event, data, id) => {
+    streamClients.forEach(client => {
+        const payload = JSON.stringify(timezone.localizeRow(data, client.locals.timeZone));
+        client.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${payload}\n\n`);
+    });
+};
+
+// Helper function to push an event for every successful sync newer than the last one announced
+const pollForSyncs = async () => {
+    try {
+        const rows = await runQuery(`
+            SELECT sync_id, sync_date, row_count FROM Sync
+            WHERE status = 'success' AND deleted_at IS NULL AND sync_date > ?
+            ORDER BY sync_date ASC
+        `, [streamLastSyncDate || '']);
+
+        for (const sync of rows) {
+            streamLastSyncDate = sync.sync_date;
+            const summary = await getSyncSummary(sync);
+            broadcast('sync', { ...sync, summary }, sync.sync_id);
+        }
+    } catch (err) {
+        console.error('Error polling for new syncs:', err);
+    }
+};
+
+app.get('/api2/stream', async (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(`retry: ${STREAM_POLL_SECONDS * 1000}\n\n`);
+
+    // The client is counted before anything is awaited, so clients connecting at the same time can't
+    // each start a poller, and one that leaves meanwhile is never left in streamClients
+    const first = streamClients.size === 0;
+    streamClients.add(res);
+
+    const heartbeat = setInterval(() => {
+        res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, STREAM_HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streamClients.delete(res);
+        if (streamClients.size === 0 && streamPoller) {
+            clearInterval(streamPoller);
+            streamPoller = null;
+        }
+    });
+
+    // Start from the latest sync so clients only hear about syncs that land from now on
+    if (first) {
+        try {
+            const rows = await runQuery(`SELECT MAX(sync_date) as sync_date FROM Sync WHERE status = 'success' AND deleted_at IS NULL`);
+            streamLastSyncDate = rows[0].sync_date;
+        } catch (err) {
+            console.error('Error reading latest sync:', err);
+        }
+    }
+    if (!streamPoller && streamClients.size > 0) {
+        streamPoller = setInterval(pollForSyncs, STREAM_POLL_SECONDS * 1000);
+    }
+});
+
+// Admin endpoints for gamertag renames
+app.get('/api2/admin/renames', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const rows = await runQuery(`
+            SELECT * FROM RenameCandidate
+            WHERE status = ? OR ? = 'all'
+            ORDER BY created_date DESC, id DESC
+        `, [status, status]);
+        res.json(timezone.localizeRows(rows, res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api2/admin/renames/:id/:action', async (req, res) => {
+    try {
+        const { id, action } = req.params;
+        if (action !== 'confirm' && action !== 'reject') {
+            res.status(404).json({ error: 'Unknown action' });
+            return;
+        }
+        const candidate = await resolveRename(db, id, action === 'confirm');
+        if (!candidate) {
+            res.status(404).json({ error: 'Rename candidate not found' });
+            return;
+        }
+        responseCache.invalidate();
+        await audit(req, `rename.${action}`, id, { old_name: candidate.old_name, new_name: candidate.new_name, status: candidate.status });
+        res.json(timezone.localizeRow(candidate, res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Merge two names by hand, e.g. for renames that weren't detected. Body: { "from": "OldName", "to": "NewName" }
+app.post('/api2/admin/players/merge', async (req, res) => {
+    try {
+        const body = req.body ?? {};
+        const from = typeof body.from === 'string' ? body.from.trim() : '';
+        const to = typeof body.to === 'string' ? body.to.trim() : '';
+        if (!from || !to || from.toLowerCase() === to.toLowerCase()) {
+            res.status(400).json({ error: 'from and to must be two different player names' });
+            return;
+        }
+        const name = await mergeNames(db, from, to);
+        responseCache.invalidate();
+        await audit(req, 'players.merge', name, { from, to });
+        res.json({ name, aliases: await getAliases(db, name) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Admin endpoints for syncs. A sync started from here runs in this process; only one at a time.
+let runningSync = null;
+
+// Helper function to get one Sync row, including failed, quarantined and deleted ones
+const getSyncRow = (syncId) => snapshots.getSync(db, syncId);
+
+// List every sync, newest first, with the rows stored per table
+app.get('/api2/admin/syncs', async (req, res) => {
+    try {
+        const rows = await snapshots.listSyncs(db);
+        res.json({ running: runningSync !== null, syncs: timezone.localizeRows(rows, res.locals.timeZone) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Start a scrape. Responds straight away; the outcome shows up in the sync list and the audit log.
+app.post('/api2/admin/syncs', async (req, res) => {
+    try {
+        if (runningSync) {
+            res.status(409).json({ error: 'A sync is already running' });
+            return;
+        }
+        await audit(req, 'sync.trigger', null);
+        runningSync = fetchData(db)
+            .then(result => audit(req, 'sync.completed', result.sync_id, result))
+            .catch(err => {
+                console.error('Triggered sync failed:', err.message);
+                return audit(req, 'sync.failed', null, { error: err.message });
+            })
+            .catch(err => console.error('Error writing audit log:', err.message))
+            .finally(() => {
+                runningSync = null;
+            });
+        res.status(202).json({ message: 'Sync started' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Inspect one sync: its Sync row and its rows for one leaderboard (default XBLTotal)
+app.get('/api2/admin/syncs/:sync_id', async (req, res) => {
+    try {
+        const leaderboardId = parseLeaderboardId(req.query.leaderboard_id);
+        if (leaderboardId === null) {
+            res.status(400).json({ error: 'leaderboard_id must be a positive integer' });
+            return;
+        }
+        const sync = await getSyncRow(req.params.sync_id);
+        if (!sync) {
+            res.status(404).json({ error: 'Sync not found' });
+            return;
+        }
+        const source = getLeaderboardSource(leaderboardId);
+        const rows = await snapshots.getStoredRows(db, sync.sync_id, leaderboardId);
+        res.json({
+            sync: timezone.localizeRow(sync, res.locals.timeZone),
+            rows: timezone.localizeRows(rows.map(source.mapRow), res.locals.timeZone)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Soft-delete a sync. Its rows are kept but hidden from every public endpoint until restored; the first
+// sync after it takes over its changes, so later boards read as before.
+app.delete('/api2/admin/syncs/:sync_id', async (req, res) => {
+    try {
+        const sync = await getSyncRow(req.params.sync_id);
+        if (!sync) {
+            res.status(404).json({ error: 'Sync not found' });
+            return;
+        }
+        if (!sync.deleted_at) {
+            await deleteSync(db, sync.sync_id);
+            responseCache.invalidate();
+            await audit(req, 'sync.delete', sync.sync_id);
+        }
+        res.json(timezone.localizeRow(await getSyncRow(sync.sync_id), res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api2/admin/syncs/:sync_id/restore', async (req, res) => {
+    try {
+        const sync = await getSyncRow(req.params.sync_id);
+        if (!sync) {
+            res.status(404).json({ error: 'Sync not found' });
+            return;
+        }
+        if (sync.deleted_at) {
+            await restoreSync(db, sync.sync_id);
+            responseCache.invalidate();
+            await audit(req, 'sync.restore', sync.sync_id);
+        }
+        res.json(timezone.localizeRow(await getSyncRow(sync.sync_id), res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Audit log of admin actions, newest first (limit defaults to 100)
+app.get('/api2/admin/audit', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            res.status(400).json({ error: 'limit must be between 1 and 1000' });
+            return;
+        }
+        const rows = await runQuery('SELECT * FROM AuditLog ORDER BY id DESC LIMIT ?', [limit]);
+        res.json(rows.map(row => timezone.localizeRow({ ...row, details: row.details ? JSON.parse(row.details) : null }, res.locals.timeZone)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Helper function to shape a Sync row with its parsed validation problems
+const formatValidation = (row) => {
+    let problems = [];
+    try {
+        problems = row.validation_errors ? JSON.parse(row.validation_errors) : [];
+    } catch (err) {
+        problems = [{ check: 'unknown', message: row.validation_errors, examples: [] }];
+    }
+    return {
+        sync_id: row.sync_id,
+        sync_date: row.sync_date,
+        status: row.status,
+        row_count: row.row_count,
+        problems
+    };
+};
+
+// Endpoint for syncs that failed validation. Their rows are kept but excluded from every other view.
+app.get('/api2/syncs/quarantined', async (req, res) => {
+    try {
+        const rows = await runQuery(`
+            SELECT sync_id, sync_date, status, row_count, validation_errors
+            FROM Sync
+            WHERE status = 'quarantined'
+            ORDER BY sync_date DESC
+        `);
+        res.json(timezone.localizeRows(rows.map(formatValidation), res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Endpoint for the validation result of one sync
+app.get('/api2/syncs/:sync_id/validation', async (req, res) => {
+    try {
+        const rows = await runQuery(`
+            SELECT sync_id, sync_date, status, row_count, validation_errors
+            FROM Sync
+            WHERE sync_id = ?
+        `, [req.params.sync_id]);
+        if (rows.length === 0) {
+            res.status(404).json({ error: 'Sync not found' });
+            return;
+        }
+        res.json(timezone.localizeRow(formatValidation(rows[0]), res.locals.timeZone));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Bring the schema up to date, then start server. Tests load the app without starting it.
+if (require.main === module) {
+    migrate(db)
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`Server running at http://localhost:${PORT}`);
+            });
+        })
+        .catch(err => {
+            console.error('Error migrating database:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = { app, db };
+
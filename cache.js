@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { CACHE_MAX_ENTRIES } = require('./config');
+
+// Response headers stored with a cached body
+const CACHED_HEADERS = ['Content-Type', 'X-Total-Count', 'Link', 'Access-Control-Expose-Headers'];
+
+// Create an in-process cache for GET endpoints whose output only changes with the data.
+// getVersion resolves to { key, lastModified }; key changes whenever the data does and
+// lastModified is a Date. When the key changes every cached response is dropped.
+function createResponseCache(getVersion, maxEntries = CACHE_MAX_ENTRIES) {
+    const entries = new Map();
+    let currentKey = null;
+    let dataKey = null;
+    // Bumped by invalidate() for changes the version key can't see (e.g. merged player names)
+    let generation = 0;
+    // When the data last changed in a way version.lastModified doesn't show (invalidate() or a new key,
+    // e.g. after a sync was deleted), rounded up to the second since Last-Modified has no finer precision
+    let changedAt = null;
+
+    // Helper function to note that the data changed just now
+    const markChanged = () => {
+        changedAt = new Date(Math.ceil(Date.now() / 1000) * 1000);
+    };
+
+    const invalidate = () => {
+        generation++;
+        entries.clear();
+        markChanged();
+    };
+
+    // Middleware: serve from the cache or capture the handler's 200 response. ETag and
+    // Last-Modified are always set, so Express answers conditional requests with a 304.
+    const middleware = async (req, res, next) => {
+        let version;
+        try {
+            version = await getVersion();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+
+        const versionKey = `${version.key}|${generation}`;
+        if (versionKey !== currentKey) {
+            if (dataKey !== null && dataKey !== version.key) markChanged();
+            entries.clear();
+            currentKey = versionKey;
+            dataKey = version.key;
+        }
+
+        res.set('Cache-Control', 'no-cache');
+        const lastModified = changedAt && !(version.lastModified > changedAt) ? changedAt : version.lastModified;
+        if (lastModified) {
+            res.set('Last-Modified', lastModified.toUTCString());
+        }
+
+        const key = req.originalUrl;
+        const cached = entries.get(key);
+        if (cached) {
+            // Move to the end so the least recently used entry is first in line to be dropped
+            entries.delete(key);
+            entries.set(key, cached);
+            res.set(cached.headers);
+            res.set('X-Cache', 'HIT');
+            res.send(cached.body);
+            return;
+        }
+
+        // res.json and res.send(object) end up calling send with a string, which is what gets stored
+        const send = res.send.bind(res);
+        res.send = (body) => {
+            if (res.statusCode === 200 && (typeof body === 'string' || Buffer.isBuffer(body)) && currentKey === versionKey) {
+                const etag = `"${crypto.createHash('sha1').update(body).digest('base64')}"`;
+                res.set('ETag', etag);
+                res.set('X-Cache', 'MISS');
+                const headers = { ETag: etag };
+                CACHED_HEADERS.forEach(header => {
+                    if (res.get(header) !== undefined) headers[header] = res.get(header);
+                });
+                entries.set(key, { body, headers });
+                if (entries.size > maxEntries) {
+                    entries.delete(entries.keys().next().value);
+                }
+            }
+            return send(body);
+        };
+        next();
+    };
+
+    return { middleware, invalidate };
+}
+
+module.exports = {
+    createResponseCache
+};
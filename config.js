@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every setting is read from the environment variable of the same name, then from the optional JSON
+// config file (CONFIG_FILE, default config.json next to this file), e.g. { "PORT": 8080, "MAX_RANK": 500 },
+// then falls back to its default. api2.js, fetch2.js and the command line tools all read their settings here.
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+// Helper function to read the config file. The default file is optional; one named in CONFIG_FILE is not.
+const readConfigFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        if (process.env.CONFIG_FILE) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read config file ${filePath}: ${err.message}`);
+    }
+};
+
+const fileSettings = readConfigFile(CONFIG_FILE);
+
+// Helper function to get the raw value of a setting (undefined when it isn't set anywhere)
+const setting = (name) => (process.env[name] !== undefined ? process.env[name] : fileSettings[name]);
+
+// Helper function to read a setting that can be 0, such as a number of retries. Anything but a whole
+// number of at least 0 falls back to the default.
+const countSetting = (name, defaultValue) => {
+    const value = setting(name);
+    return /^\d+$/.test(String(value).trim()) ? parseInt(value) : defaultValue;
+};
+
+// Database shared by the API and the fetcher. Relative paths are resolved against this directory, so both
+// processes use the same file whatever directory they are started from.
+const DB_PATH = path.resolve(__dirname, setting('DB_PATH') || 'xbltotal.db');
+// How long a write waits for the other process's transaction before failing
+const DB_BUSY_TIMEOUT_MS = parseInt(setting('DB_BUSY_TIMEOUT_MS')) || 5000;
+
+// API server (api2.js)
+const PORT = parseInt(setting('PORT')) || 3000;
+// Bearer token for the /api2/admin routes (the admin API is disabled when unset)
+const ADMIN_TOKEN = setting('ADMIN_TOKEN') ? String(setting('ADMIN_TOKEN')) : '';
+// How often the live stream checks for new syncs, and how often it sends heartbeats while idle
+const STREAM_POLL_SECONDS = parseFloat(setting('STREAM_POLL_SECONDS')) || 15;
+const STREAM_HEARTBEAT_SECONDS = parseFloat(setting('STREAM_HEARTBEAT_SECONDS')) || 30;
+// Most responses kept at once by the response cache
+const CACHE_MAX_ENTRIES = parseInt(setting('CACHE_MAX_ENTRIES')) || 500;
+// Time zone dates are read and written in when a request doesn't pass tz= (an IANA name such as Europe/London)
+const DEFAULT_TIMEZONE = setting('DEFAULT_TIMEZONE') ? String(setting('DEFAULT_TIMEZONE')) : 'UTC';
+
+// Leaderboard page scraped by fetch2.js, and the leaderboard on it that is the XBL total board
+// (stored in its own XBLTotal table)
+const SOURCE_URL = setting('SOURCE_URL') ? String(setting('SOURCE_URL')) : 'https://insignia.live/games/4d53004b';
+const XBLTOTAL_LEADERBOARD_ID = parseInt(setting('XBLTOTAL_LEADERBOARD_ID')) || 1;
+// Browser timeouts: loading the page, waiting for a table (re)load and the pause after switching leaderboards
+const PAGE_LOAD_TIMEOUT_MS = parseInt(setting('PAGE_LOAD_TIMEOUT_MS')) || 30000;
+const TABLE_LOAD_TIMEOUT_MS = parseInt(setting('TABLE_LOAD_TIMEOUT_MS')) || 5000;
+const LEADERBOARD_SWITCH_DELAY_MS = parseInt(setting('LEADERBOARD_SWITCH_DELAY_MS')) || 1000;
+// Stop paging once this rank has been collected (0 = read every page)
+const MAX_RANK = parseInt(setting('MAX_RANK')) || 0;
+// Safety limit in case the pager never reports its last page
+const MAX_PAGES = parseInt(setting('MAX_PAGES')) || 1000;
+
+// Scheduler (node fetch2.js --schedule)
+const SYNC_INTERVAL_MINUTES = parseFloat(setting('SYNC_INTERVAL_MINUTES')) || 60;
+const SYNC_RETRIES = countSetting('SYNC_RETRIES', 3);
+const SYNC_RETRY_DELAY_SECONDS = parseFloat(setting('SYNC_RETRY_DELAY_SECONDS')) || 30;
+
+// Retention policy: every sync is kept for RETENTION_RAW_DAYS, then one sync per day until
+// RETENTION_DAILY_DAYS, then one sync per week. The scheduler only applies it when RETENTION_RAW_DAYS is set.
+const RETENTION_ENABLED = setting('RETENTION_RAW_DAYS') !== undefined;
+const RETENTION_RAW_DAYS = parseFloat(setting('RETENTION_RAW_DAYS')) || 30;
+const RETENTION_DAILY_DAYS = parseFloat(setting('RETENTION_DAILY_DAYS')) || 365;
+
+// A scrape is suspicious when more than this fraction of its rows are all zeros
+const MAX_ZERO_ROW_FRACTION = parseFloat(setting('MAX_ZERO_ROW_FRACTION')) || 0.1;
+
+// A name that disappears is matched to a name that appears in the same sync when every
+// lifetime counter grew by no more than this fraction (0.05 = 5%) and none went down
+const RENAME_MAX_GROWTH = parseFloat(setting('RENAME_MAX_GROWTH')) || 0.05;
+
+// Overtakes are only reported between players who are both inside this rank afterwards
+const MILESTONE_OVERTAKE_TOP = parseInt(setting('MILESTONE_OVERTAKE_TOP')) || 50;
+
+// Webhook delivery
+const WEBHOOK_RETRIES = countSetting('WEBHOOK_RETRIES', 3);
+const WEBHOOK_RETRY_DELAY_MS = parseInt(setting('WEBHOOK_RETRY_DELAY_MS')) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(setting('WEBHOOK_TIMEOUT_MS')) || 10000;
+
+module.exports = {
+    CONFIG_FILE,
+    DB_PATH,
+    DB_BUSY_TIMEOUT_MS,
+    PORT,
+    ADMIN_TOKEN,
+    STREAM_POLL_SECONDS,
+    STREAM_HEARTBEAT_SECONDS,
+    CACHE_MAX_ENTRIES,
+    DEFAULT_TIMEZONE,
+    SOURCE_URL,
+    XBLTOTAL_LEADERBOARD_ID,
+    PAGE_LOAD_TIMEOUT_MS,
+    TABLE_LOAD_TIMEOUT_MS,
+    LEADERBOARD_SWITCH_DELAY_MS,
+    MAX_RANK,
+    MAX_PAGES,
+    SYNC_INTERVAL_MINUTES,
+    SYNC_RETRIES,
+    SYNC_RETRY_DELAY_SECONDS,
+    RETENTION_ENABLED,
+    RETENTION_RAW_DAYS,
+    RETENTION_DAILY_DAYS,
+    MAX_ZERO_ROW_FRACTION,
+    RENAME_MAX_GROWTH,
+    MILESTONE_OVERTAKE_TOP,
+    WEBHOOK_RETRIES,
+    WEBHOOK_RETRY_DELAY_MS,
+    WEBHOOK_TIMEOUT_MS
+};
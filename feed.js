@@ -0,0 +1,72 @@
+// Feed formats supported by the feed endpoints
+const FEED_FORMATS = ['atom', 'rss'];
+
+const CONTENT_TYPES = {
+    atom: 'application/atom+xml; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8'
+};
+
+// Helper function to escape text for XML
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Build an Atom feed. feed is { id, title, link, updated }; each item is { id, title, link, date, summary }.
+// Dates are Date objects.
+const toAtom = (feed, items) => {
+    const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link rel="self" href="${escapeXml(feed.link)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>
+${entries}</feed>
+`;
+};
+
+// Build an RSS 2.0 feed from the same feed and items as toAtom
+const toRss = (feed, items) => {
+    const entries = items.map(item => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+    </item>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.title)}</description>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${entries}  </channel>
+</rss>
+`;
+};
+
+// Send a feed in the given format
+const sendFeed = (res, format, feed, items) => {
+    res.type(CONTENT_TYPES[format]);
+    res.send(format === 'rss' ? toRss(feed, items) : toAtom(feed, items));
+};
+
+module.exports = {
+    FEED_FORMATS,
+    sendFeed
+};
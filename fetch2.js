@@ -1,150 +1,480 @@
 const puppeteer = require('puppeteer');
-const cheerio = require('cheerio');
-const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-
-// Constants
-const DB_PATH = path.join(__dirname, 'xbltotal.db');
-const url = "https://insignia.live/games/4d53004b";
+const { migrate } = require('./migrate');
+const { queueWebhooks, webhooksSent } = require('./webhooks');
+const { detectRenames } = require('./identities');
+const { validateXBLTotal } = require('./validate');
+const { getSnapshot, getPreviousSync, getBoardRows } = require('./snapshots');
+const { keepLaterBoards } = require('./history');
+const { applyRetention } = require('./retention');
+const {
+    readTableHtml,
+    readLeaderboardOptions,
+    parseLeaderboardRows,
+    parseLeaderboardHtml
+} = require('./parser');
+const {
+    openDatabase,
+    transaction,
+    startSync,
+    finishSync,
+    saveLeaderboard,
+    insertBoardRows
+} = require('./repository');
+const {
+    SOURCE_URL,
+    XBLTOTAL_LEADERBOARD_ID,
+    PAGE_LOAD_TIMEOUT_MS,
+    TABLE_LOAD_TIMEOUT_MS,
+    LEADERBOARD_SWITCH_DELAY_MS,
+    MAX_RANK,
+    MAX_PAGES,
+    SYNC_INTERVAL_MINUTES,
+    SYNC_RETRIES,
+    SYNC_RETRY_DELAY_SECONDS,
+    RETENTION_ENABLED
+} = require('./config');
 
 // Helper function to wait for table to reload
 async function waitForTableToReload(page) {
     await page.waitForFunction(() => {
         const rows = document.querySelectorAll('table.table-striped tbody tr');
         return rows.length > 0;
-    }, { timeout: 5000 });
+    }, { timeout: TABLE_LOAD_TIMEOUT_MS });
 }
 
 // Helper function to sleep
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Initialize database connection
-const db = new sqlite3.Database(DB_PATH, (err) => {
-    if (err) {
-        console.error('Error opening database:', err);
-    } else {
-        console.log('Connected to the SQLite database.');
+// Helper function to read the header row and the raw cell text of every rendered row
+async function readTable(page) {
+    return readTableHtml(await page.content());
+}
+
+// Helper function to click the pager's "next" control. Returns false on the last page.
+async function goToNextPage(page) {
+    const firstRow = await page.evaluate(() => {
+        const row = document.querySelector('table.table-striped tbody tr');
+        return row ? row.textContent.trim() : '';
+    });
+
+    const clicked = await page.evaluate(() => {
+        const candidates = Array.from(document.querySelectorAll('.pagination a, .pagination button, a[rel="next"]'));
+        const next = candidates.find(el => {
+            const label = (el.getAttribute('aria-label') || el.textContent || '').trim().toLowerCase();
+            const disabled = el.disabled || el.getAttribute('aria-disabled') === 'true' ||
+                (el.closest('li') && el.closest('li').classList.contains('disabled'));
+            return !disabled && (el.rel === 'next' || label === 'next' || label === '»' || label === '›');
+        });
+        if (!next) return false;
+        next.click();
+        return true;
+    });
+    if (!clicked) return false;
+
+    // Wait for the first row to change so we don't read the same page twice
+    await page.waitForFunction((previous) => {
+        const row = document.querySelector('table.table-striped tbody tr');
+        return row && row.textContent.trim() !== previous;
+    }, { timeout: TABLE_LOAD_TIMEOUT_MS }, firstRow);
+    return true;
+}
+
+// Helper function to step through every page of the current leaderboard.
+// Rows repeated across a page boundary are dropped and gaps in the ranks are logged.
+async function readAllPages(page, leaderboardId) {
+    const first = await readTable(page);
+    const rowsByKey = new Map();
+    let pages = 0;
+    let current = first;
+
+    while (true) {
+        pages++;
+        let added = 0;
+
+        for (const cells of current.rows) {
+            const rank = parseInt(cells[0]);
+            const key = `${rank}|${cells[1] || ''}`;
+            if (rowsByKey.has(key)) continue;
+            if (MAX_RANK && rank > MAX_RANK) continue;
+            rowsByKey.set(key, cells);
+            added++;
+        }
+
+        const lastRank = parseInt((current.rows[current.rows.length - 1] || [])[0]);
+        if (added === 0 || (MAX_RANK && lastRank >= MAX_RANK) || pages >= MAX_PAGES) {
+            break;
+        }
+
+        try {
+            if (!(await goToNextPage(page))) break;
+        } catch (error) {
+            console.warn(`Leaderboard ${leaderboardId}: stopped paging after page ${pages}:`, error.message);
+            break;
+        }
+        current = await readTable(page);
     }
-});
 
-async function fetchData() {
+    const rows = Array.from(rowsByKey.values()).sort((a, b) => (parseInt(a[0]) || 0) - (parseInt(b[0]) || 0));
+
+    // Check the collected ranks for duplicates and gaps
+    const ranks = rows.map(cells => parseInt(cells[0])).filter(rank => !isNaN(rank));
+    const duplicateRanks = ranks.filter((rank, index) => index > 0 && ranks[index - 1] === rank);
+    const rankSet = new Set(ranks);
+    const missingRanks = [];
+    for (let rank = 1; rank <= (ranks[ranks.length - 1] || 0); rank++) {
+        if (!rankSet.has(rank)) missingRanks.push(rank);
+    }
+    if (duplicateRanks.length > 0) {
+        console.warn(`Leaderboard ${leaderboardId}: duplicate ranks ${duplicateRanks.slice(0, 10).join(', ')}`);
+    }
+    if (missingRanks.length > 0) {
+        console.warn(`Leaderboard ${leaderboardId}: ${missingRanks.length} missing ranks (first: ${missingRanks.slice(0, 10).join(', ')})`);
+    }
+
+    console.log(`Leaderboard ${leaderboardId}: collected ${rows.length} rows across ${pages} page(s)`);
+    return { headers: first.headers, rows, pages };
+}
+
+// Helper function to validate XBLTotal entries against the last good sync before they are committed
+const validateSync = async (db, sync_id, table) => {
+    const previousSync = await getPreviousSync(db, sync_id);
+    const previous = previousSync ? await getSnapshot(db, previousSync.sync_id) : null;
+    const problems = validateXBLTotal(table, previous);
+    problems.forEach(problem => console.warn(`Validation (${problem.check}): ${problem.message}`));
+    return problems;
+};
+
+// Scrape every leaderboard into a new sync on a database connection. Throws when the scrape fails or comes
+// back empty; either way the Sync row is marked so the API never serves it as the latest sync.
+async function fetchData(db) {
     // Generate a unique sync_id for this run
     const sync_id = uuidv4();
     const sync_date = new Date().toISOString();
+    const startTime = Date.now();
 
     // Insert sync record
-    const syncStmt = db.prepare('INSERT INTO Sync (sync_id, sync_date) VALUES (?, ?)');
-    syncStmt.run(sync_id, sync_date);
-    syncStmt.finalize();
-
-    const browser = await puppeteer.launch({
-        headless: true,
-        defaultViewport: null,
-        args: ['--no-sandbox']
-    });
-    const page = await browser.newPage();
+    await startSync(db, sync_id, sync_date);
 
+    let browser = null;
     try {
+        browser = await puppeteer.launch({
+            headless: true,
+            defaultViewport: null,
+            args: ['--no-sandbox']
+        });
+        const page = await browser.newPage();
+
         // Navigate to the URL
-        await page.goto(url, { waitUntil: 'networkidle2' });
+        await page.goto(SOURCE_URL, { waitUntil: 'networkidle2', timeout: PAGE_LOAD_TIMEOUT_MS });
         console.log('Navigated to URL successfully');
 
         // Get all options from the select box
-        const options = await page.evaluate(() => {
-            const selectElement = document.getElementById('leaderboard-select');
-            return Array.from(selectElement.options).map(option => ({
-                value: option.value,
-                text: option.text
-            }));
-        });
+        const options = readLeaderboardOptions(await page.content());
         console.log('Found options:', options);
 
-        // Find and process only leaderboard ID 1
-        const leaderboard1Option = options.find(opt => parseInt(opt.value) === 1);
-        
-        if (!leaderboard1Option) {
-            console.error('Leaderboard ID 1 not found in options');
-            await browser.close();
-            return;
+        if (options.length === 0) {
+            throw new Error('No leaderboards found in options');
         }
 
-        console.log(`Processing leaderboard ${leaderboard1Option.text} (ID: 1)`);
-        
-        await page.select('#leaderboard-select', leaderboard1Option.value);
-        await sleep(1000);
-        await waitForTableToReload(page);
-
-        // Handle XBLTotal table (leaderboard ID 1)
-        const leaderboardData = await page.evaluate(() => {
-            const rows = Array.from(document.querySelectorAll('table.table-striped tbody tr'));
-            if (!rows || rows.length === 0) return [];
-            
-            return rows.map(row => {
-                const cells = row.querySelectorAll('td');
-                if (!cells || cells.length < 8) return null;
-                
-                try {
-                    return {
-                        rank: parseInt(cells[0].textContent.trim()) || 0,
-                        name: cells[1].textContent.trim() || '',
-                        first_place_finishes: parseInt(cells[2].textContent.trim()) || 0,
-                        second_place_finishes: parseInt(cells[3].textContent.trim()) || 0,
-                        third_place_finishes: parseInt(cells[4].textContent.trim()) || 0,
-                        races_completed: parseInt(cells[5].textContent.trim()) || 0,
-                        kudos_rank: parseInt(cells[6].textContent.trim()) || 0,
-                        kudos: parseInt(cells[7].textContent.trim()) || 0
-                    };
-                } catch (error) {
-                    console.error('Error parsing row:', error);
-                    return null;
-                }
-            }).filter(item => item !== null);
-        });
+        // Read every leaderboard in the select box under the same sync_id. Nothing is written until
+        // all of them were read, so a sync's rows are stored all at once or not at all.
+        let totalPages = 0;
+        let totalRows = 0;
+        let xblTotalRows = 0;
+        const boards = [];
+        let problems = [];
+        for (const option of options) {
+            const leaderboardId = parseInt(option.value);
+            if (isNaN(leaderboardId)) {
+                console.warn(`Skipping option with non-numeric value: ${option.value}`);
+                continue;
+            }
 
-        if (leaderboardData && leaderboardData.length > 0) {
-            const stmt = db.prepare(`
-                INSERT INTO XBLTotal (
-                    leaderboard_id, rank, name, first_place_finishes, 
-                    second_place_finishes, third_place_finishes, races_completed,
-                    kudos_rank, kudos, folder_date, data_date, sync_id
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'), ?)
-            `);
-
-            leaderboardData.forEach(entry => {
-                stmt.run(
-                    1,
-                    entry.rank,
-                    entry.name,
-                    entry.first_place_finishes,
-                    entry.second_place_finishes,
-                    entry.third_place_finishes,
-                    entry.races_completed,
-                    entry.kudos_rank,
-                    entry.kudos,
-                    sync_id
-                );
-            });
-            
-            stmt.finalize();
-            console.log(`Inserted ${leaderboardData.length} XBLTotal records`);
+            console.log(`Processing leaderboard ${option.text} (ID: ${leaderboardId})`);
+
+            await page.select('#leaderboard-select', option.value);
+            await sleep(LEADERBOARD_SWITCH_DELAY_MS);
+            await waitForTableToReload(page);
+
+            // Read every page of the table
+            const table = await readAllPages(page, leaderboardId);
+            totalPages += table.pages;
+            totalRows += table.rows.length;
+
+            const { columns, entries, invalidCells } = parseLeaderboardRows(table, leaderboardId);
+
+            if (leaderboardId === XBLTOTAL_LEADERBOARD_ID) {
+                // Handle XBLTotal table (leaderboard ID 1)
+                problems = await validateSync(db, sync_id, { headers: table.headers, rows: table.rows, entries, invalidCells });
+                xblTotalRows = entries.length;
+            }
+            boards.push({ leaderboardId, name: option.text, columns, entries });
         }
 
+        console.log(`Sync ${sync_id}: collected ${totalRows} rows across ${totalPages} page(s)`);
+        if (xblTotalRows === 0) {
+            throw new Error('No XBLTotal rows were collected');
+        }
+
+        // The changed rows are picked inside the transaction, against the boards as committed, so an import
+        // or another sync that lands while this one scrapes can't leave them stale.
+        // A sync that fails validation keeps its rows for inspection but is never served by default.
+        const status = await transaction(db, async () => {
+            let writtenRows = 0;
+            let full = true;
+            for (const board of boards) {
+                const boardRows = await getBoardRows(db, sync_id, board.leaderboardId, board.entries);
+                await saveLeaderboard(db, board.leaderboardId, board.name, board.columns);
+                await insertBoardRows(db, sync_id, board.leaderboardId, boardRows.rows);
+                console.log(`Inserted ${boardRows.rows.length} of ${board.entries.length} records for leaderboard ${board.leaderboardId}`);
+                writtenRows += boardRows.rows.length;
+                full = full && boardRows.full;
+            }
+            const syncStatus = problems.length > 0 ? 'quarantined' : (writtenRows === 0 ? 'unchanged' : 'success');
+            await finishSync(db, sync_id, {
+                status: syncStatus,
+                row_count: totalRows,
+                duration_ms: Date.now() - startTime,
+                validation_errors: problems.length > 0 ? problems : null,
+                snapshot_type: full ? 'full' : 'delta'
+            });
+            return syncStatus;
+        });
         await browser.close();
+        if (status === 'quarantined') {
+            console.warn(`Sync ${sync_id} was quarantined with ${problems.length} validation problem(s)`);
+            return { sync_id, row_count: totalRows, status };
+        }
+        if (status === 'unchanged') {
+            console.log(`Sync ${sync_id}: no leaderboard changed since the last sync`);
+            return { sync_id, row_count: totalRows, status };
+        }
+
+        await detectRenames(db, sync_id).catch(err => console.error('Error detecting renames:', err));
+
+        // Webhooks are sent in the background; failures are logged in WebhookDelivery and never fail the sync
+        queueWebhooks(db, sync_id);
+        return { sync_id, row_count: totalRows, status };
     } catch (error) {
         console.error('Error:', error);
-        await browser.close();
+        await finishSync(db, sync_id, { status: 'failed', duration_ms: Date.now() - startTime, error: error.message })
+            .catch(err => console.error('Error updating sync status:', err));
+        if (browser) await browser.close();
+        throw error;
+    }
+}
+
+// Run one sync, retrying failures with exponential backoff
+async function fetchDataWithRetries(db) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fetchData(db);
+        } catch (error) {
+            if (attempt > SYNC_RETRIES) {
+                throw error;
+            }
+            const delaySeconds = SYNC_RETRY_DELAY_SECONDS * Math.pow(2, attempt - 1);
+            console.warn(`Sync attempt ${attempt} failed (${error.message}), retrying in ${delaySeconds}s`);
+            await sleep(delaySeconds * 1000);
+        }
+    }
+}
+
+// Keep syncing every SYNC_INTERVAL_MINUTES until the process is stopped
+async function runScheduler(db) {
+    let stopping = false;
+    let wake = null;
+    const stop = () => {
+        console.log('Stopping scheduler after the current sync');
+        stopping = true;
+        if (wake) wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    const intervalMs = SYNC_INTERVAL_MINUTES * 60 * 1000;
+    console.log(`Scheduler started, syncing every ${SYNC_INTERVAL_MINUTES} minute(s)`);
+
+    while (!stopping) {
+        const startTime = Date.now();
+        try {
+            const result = await fetchDataWithRetries(db);
+            const outcome = { quarantined: 'was quarantined', unchanged: 'found no changes' }[result.status] || 'completed';
+            console.log(`Sync ${result.sync_id} ${outcome} with ${result.row_count} rows`);
+        } catch (error) {
+            console.error(`Sync failed after ${SYNC_RETRIES + 1} attempt(s):`, error.message);
+        }
+
+        if (RETENTION_ENABLED) {
+            try {
+                const summary = await applyRetention(db);
+                if (summary.periods > 0) {
+                    console.log(`Retention rolled up ${summary.periods} period(s), removing ${summary.syncs_removed} sync(s)`);
+                }
+            } catch (error) {
+                console.error('Retention failed:', error.message);
+            }
+        }
+
+        // Sleep until the next interval, waking early on shutdown
+        const waitMs = Math.max(0, intervalMs - (Date.now() - startTime));
+        if (!stopping) {
+            console.log(`Next sync at ${new Date(Date.now() + waitMs).toISOString()}`);
+            await new Promise(resolve => {
+                wake = resolve;
+                setTimeout(resolve, waitMs);
+            });
+            wake = null;
+        }
+    }
+}
+
+// Helper function to format a Date the way SQLite's datetime() does ("2024-11-26 17:55:21")
+const toSqlDate = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+// Helper function to find when a snapshot was taken: an explicit timestamp in JSON
+// snapshots, then a date in the file name ("2024-11-26T17-55-21.html"), then the file's mtime
+const getSnapshotDate = (filePath, snapshot) => {
+    const explicit = snapshot && !Array.isArray(snapshot)
+        ? snapshot.data_date || snapshot.timestamp || snapshot.date
+        : Array.isArray(snapshot) && snapshot[0] && snapshot[0].data_date;
+    if (explicit && !isNaN(new Date(explicit).getTime())) {
+        return new Date(explicit);
+    }
+
+    const match = path.basename(filePath).match(/(\d{4}-\d{2}-\d{2})(?:[T _](\d{2})[-:.]?(\d{2})(?:[-:.]?(\d{2}))?)?/);
+    if (match) {
+        const [, day, hour = '00', minute = '00', second = '00'] = match;
+        const date = new Date(`${day}T${hour}:${minute}:${second}Z`);
+        if (!isNaN(date.getTime())) return date;
+    }
+
+    return fs.statSync(filePath).mtime;
+};
+
+// Helper function to read the entries of a saved snapshot file (HTML page or JSON)
+const readSnapshot = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.html?$/i.test(filePath)) {
+        const parsed = parseLeaderboardHtml(content);
+        return { ...parsed, date: getSnapshotDate(filePath) };
+    }
+
+    // JSON snapshots are either an array of XBLTotal rows (e.g. saved /api2/xbltotal output)
+    // or { leaderboard_id, data_date, entries }
+    const snapshot = JSON.parse(content);
+    let entries = Array.isArray(snapshot) ? snapshot : (snapshot.entries || snapshot.rows || []);
+    const leaderboardId = parseInt(!Array.isArray(snapshot) && snapshot.leaderboard_id) ||
+        parseInt(entries[0] && entries[0].leaderboard_id) || XBLTOTAL_LEADERBOARD_ID;
+
+    // Other boards keep their own columns under data; flattened API rows are folded back into it
+    if (leaderboardId !== XBLTOTAL_LEADERBOARD_ID) {
+        entries = entries.map(({ id, leaderboard_id, rank, name, data, folder_date, data_date, sync_id, ...values }) => ({
+            rank,
+            name,
+            data: data || values
+        }));
+    }
+    return { leaderboardId, entries, date: getSnapshotDate(filePath, snapshot) };
+};
+
+// Import a directory of saved HTML or JSON snapshots, one Sync row per file
+async function importSnapshots(db, dir) {
+    const files = fs.readdirSync(dir)
+        .filter(file => /\.(html?|json)$/i.test(file))
+        .sort()
+        .map(file => path.join(dir, file));
+    console.log(`Found ${files.length} snapshot files in ${dir}`);
+
+    const folder_date = toSqlDate(new Date());
+    for (const filePath of files) {
+        try {
+            const snapshot = readSnapshot(filePath);
+            const { leaderboardId, entries, date } = snapshot;
+            if (entries.length === 0) {
+                console.warn(`Skipping ${filePath}: no leaderboard rows found`);
+                continue;
+            }
+
+            // The sync is dated when the snapshot was taken so backfills don't become the latest sync
+            const sync_id = uuidv4();
+            const startTime = Date.now();
+            await startSync(db, sync_id, date.toISOString());
+
+            const dates = { folder_date, data_date: toSqlDate(date) };
+            let problems = [];
+            if (leaderboardId === XBLTOTAL_LEADERBOARD_ID) {
+                problems = await validateSync(db, sync_id, { ...snapshot, partial: true });
+            }
+
+            const { rows, restored } = await transaction(db, async () => {
+                // Backfills can land before existing syncs, whose changes were recorded without them. The first
+                // later sync gets back every row the backfill changed, so every later board reads as before.
+                let rows = [];
+                const restored = await keepLaterBoards(db, sync_id, [leaderboardId], async () => {
+                    // A saved page may hold only part of the board: it replaces the players in its ranks and
+                    // leaves the rest of the board alone
+                    const board = await getBoardRows(db, sync_id, leaderboardId, entries, { partial: true });
+                    rows = board.rows;
+                    await insertBoardRows(db, sync_id, leaderboardId, rows, dates);
+                    await finishSync(db, sync_id, {
+                        status: problems.length > 0 ? 'quarantined' : (rows.length === 0 ? 'unchanged' : 'success'),
+                        row_count: entries.length,
+                        duration_ms: Date.now() - startTime,
+                        validation_errors: problems.length > 0 ? problems : null,
+                        snapshot_type: board.full ? 'full' : 'delta'
+                    });
+                });
+                return { rows, restored };
+            });
+            console.log(`Imported ${rows.length} rows for leaderboard ${leaderboardId} from ${filePath} (${dates.data_date})`);
+            if (restored > 0) {
+                console.log(`Restored ${restored} rows in the next sync so later boards are unchanged`);
+            }
+            if (problems.length > 0) {
+                console.warn(`Sync ${sync_id} from ${filePath} was quarantined with ${problems.length} validation problem(s)`);
+            }
+        } catch (error) {
+            console.error(`Error importing ${filePath}:`, error.message);
+        }
     }
 }
 
 // Main function to run everything
 async function runAll() {
+    const db = openDatabase();
     try {
-        await fetchData();
+        await migrate(db);
+
+        // node fetch2.js --import <dir> replays saved snapshots instead of scraping
+        const importIndex = process.argv.indexOf('--import');
+        if (importIndex !== -1) {
+            const dir = process.argv[importIndex + 1];
+            if (!dir) {
+                throw new Error('Usage: node fetch2.js --import <directory>');
+            }
+            await importSnapshots(db, dir);
+            console.log('Snapshot import completed successfully');
+            return;
+        }
+
+        // node fetch2.js --schedule keeps running and syncs on an interval
+        if (process.argv.includes('--schedule')) {
+            await runScheduler(db);
+            return;
+        }
+
+        await fetchDataWithRetries(db);
         console.log('Data collection completed successfully');
     } catch (err) {
         console.error('Error in main process:', err);
+        process.exitCode = 1;
     } finally {
+        await webhooksSent();
         db.close((err) => {
             if (err) {
                 console.error('Error closing database:', err);
@@ -155,6 +485,13 @@ async function runAll() {
     }
 }
 
-// Run the script
-runAll();
+// Run the script when started directly. api2.js requires this module to trigger syncs on its own
+// connection, so nothing is opened at load.
+if (require.main === module) {
+    runAll();
+}
+
+module.exports = {
+    fetchData
+};
 
@@ -0,0 +1,103 @@
+const timezone = require('./timezone');
+
+// Output formats supported by the ?format= query parameter
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Helper function to quote a value for CSV when it contains a separator, quote or newline
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function to build one CSV line in column order
+const toCsvLine = (columns, row) => columns.map(column => toCsvValue(row[column])).join(',') + '\n';
+
+// Helper function to collect the columns of a set of rows in first-seen order
+const getRowColumns = (rows) => {
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        });
+    });
+    return columns;
+};
+
+// Helper function to write the timestamp columns of a row in the response's time zone (res.locals.timeZone,
+// set for /api2 requests)
+const localizeRow = (res, row) => (res.locals.timeZone ? timezone.localizeRow(row, res.locals.timeZone) : row);
+
+// Send an array of rows as JSON, CSV or NDJSON, with their timestamps in the response's time zone.
+// CSV headers come from columns when given.
+const sendRows = (res, rows, format = 'json', columns = null) => {
+    rows = rows.map(row => localizeRow(res, row));
+    if (format === 'csv') {
+        const header = columns || getRowColumns(rows);
+        res.type(CONTENT_TYPES.csv);
+        res.send(toCsvLine(header, Object.fromEntries(header.map(column => [column, column]))) +
+            rows.map(row => toCsvLine(header, row)).join(''));
+    } else if (format === 'ndjson') {
+        res.type(CONTENT_TYPES.ndjson);
+        res.send(rows.map(row => JSON.stringify(row) + '\n').join(''));
+    } else {
+        res.json(rows);
+    }
+};
+
+// Create a writer that streams rows one at a time. write() resolves once the
+// response is ready for more, so large exports never buffer in memory, and rejects
+// once the client has gone away, so the export stops instead of waiting forever.
+const createRowWriter = (res, format, columns) => {
+    const writeChunk = (chunk) => new Promise((resolve, reject) => {
+        if (res.destroyed) {
+            reject(new Error('Client disconnected'));
+            return;
+        }
+        if (res.write(chunk)) {
+            resolve();
+            return;
+        }
+        const settle = (err) => {
+            res.off('drain', settle);
+            res.off('error', settle);
+            res.off('close', onClose);
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        };
+        const onClose = () => settle(new Error('Client disconnected'));
+        res.on('drain', settle);
+        res.on('error', settle);
+        res.on('close', onClose);
+    });
+
+    return {
+        start: () => {
+            res.type(CONTENT_TYPES[format]);
+            if (format === 'csv') {
+                return writeChunk(toCsvLine(columns, Object.fromEntries(columns.map(column => [column, column]))));
+            }
+            return Promise.resolve();
+        },
+        write: (row) => {
+            row = localizeRow(res, row);
+            return writeChunk(format === 'csv' ? toCsvLine(columns, row) : JSON.stringify(row) + '\n');
+        },
+        end: () => res.end()
+    };
+};
+
+module.exports = {
+    FORMATS,
+    toCsvValue,
+    sendRows,
+    createRowWriter
+};
@@ -0,0 +1,64 @@
+const { run, all, transaction, setSyncDeleted, insertBoardRows } = require('./repository');
+const { historyOf, getNextSync, getBoardEntries, getRestoreRows } = require('./snapshots');
+
+// Changes to the middle of the sync history. Syncs store only what changed since the sync before them,
+// so adding, hiding or bringing back a sync would change every board after it; instead the first sync
+// after it stores the rows that put those boards back as they were.
+
+// Get the leaderboards a sync stored rows for, the only boards hiding or restoring it can change
+const getSyncLeaderboards = async (db, syncId) => {
+    const rows = await all(db, `
+        SELECT leaderboard_id FROM ${historyOf('XBLTotal')} WHERE sync_id = ?
+        UNION
+        SELECT leaderboard_id FROM ${historyOf('LeaderboardEntry')} WHERE sync_id = ?
+    `, [syncId, syncId]);
+    return rows.map(row => row.leaderboard_id);
+};
+
+// Run change(), which adds, hides or brings back rows of a sync for some leaderboards, and store in the first
+// successful or unchanged sync after it the rows that put those boards back as they were before the change.
+// Must run inside a transaction. Returns the number of rows stored in the next sync.
+const keepLaterBoards = async (db, syncId, leaderboardIds, change) => {
+    const next = await getNextSync(db, syncId);
+    const before = new Map();
+    if (next) {
+        for (const leaderboardId of leaderboardIds) {
+            before.set(leaderboardId, await getBoardEntries(db, leaderboardId, next.sync_id));
+        }
+    }
+
+    await change();
+
+    let restored = 0;
+    for (const [leaderboardId, entries] of before) {
+        const rows = await getRestoreRows(db, next.sync_id, leaderboardId, entries);
+        await insertBoardRows(db, next.sync_id, leaderboardId, rows, { folder_date: next.date, data_date: next.date });
+        restored += rows.length;
+    }
+    if (restored > 0) {
+        await run(db, `UPDATE Sync SET status = 'success' WHERE sync_id = ? AND status = 'unchanged'`, [next.sync_id]);
+    }
+    return restored;
+};
+
+// Helper function to soft-delete or restore a sync inside a transaction, keeping the boards of later syncs
+const setDeleted = (db, syncId, deleted) => {
+    return transaction(db, async () => {
+        const leaderboardIds = await getSyncLeaderboards(db, syncId);
+        return keepLaterBoards(db, syncId, leaderboardIds, () => setSyncDeleted(db, syncId, deleted));
+    });
+};
+
+// Soft-delete a sync: its rows are kept but hidden from every public endpoint, and the boards of every
+// later sync stay as they were. Returns the number of rows stored in the next sync.
+const deleteSync = (db, syncId) => setDeleted(db, syncId, true);
+
+// Bring back a soft-deleted sync, again leaving the boards of every later sync as they were (syncs stored
+// while it was deleted don't include its changes). Returns the number of rows stored in the next sync.
+const restoreSync = (db, syncId) => setDeleted(db, syncId, false);
+
+module.exports = {
+    keepLaterBoards,
+    deleteSync,
+    restoreSync
+};
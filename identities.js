@@ -0,0 +1,154 @@
+const { getSnapshot, getPreviousSync, historyOf } = require('./snapshots');
+const { run, all, transaction } = require('./repository');
+const { RENAME_MAX_GROWTH } = require('./config');
+
+// Counters compared when looking for renames
+const RENAME_METRICS = ['first_place_finishes', 'second_place_finishes', 'third_place_finishes', 'races_completed', 'kudos'];
+
+// Helper function to score how likely two rows are the same player (null = not a match, 1 = identical)
+const scoreRename = (before, after) => {
+    if (!(before.races_completed > 0)) return null;
+
+    let totalGrowth = 0;
+    for (const metric of RENAME_METRICS) {
+        const oldValue = before[metric] || 0;
+        const newValue = after[metric] || 0;
+        if (newValue < oldValue) return null;
+        const growth = (newValue - oldValue) / Math.max(oldValue, 1);
+        if (growth > RENAME_MAX_GROWTH) return null;
+        totalGrowth += growth;
+    }
+    return 1 - totalGrowth / RENAME_METRICS.length;
+};
+
+// Compare a sync with the one before it and record rename candidates: a name that left the
+// board paired with a new name whose stats are nearly identical. Returns the candidates found.
+async function detectRenames(db, syncId) {
+    const previousSync = await getPreviousSync(db, syncId);
+    if (!previousSync) return [];
+
+    const [previous, current] = await Promise.all([getSnapshot(db, previousSync.sync_id), getSnapshot(db, syncId)]);
+    const left = Array.from(previous.values()).filter(row => !current.has(row.name));
+    const entered = Array.from(current.values()).filter(row => !previous.has(row.name));
+
+    // Score every pair, then pair up greedily from the best score so each name is used once
+    const pairs = [];
+    left.forEach(before => {
+        entered.forEach(after => {
+            const score = scoreRename(before, after);
+            if (score !== null) pairs.push({ old_name: before.name, new_name: after.name, score });
+        });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const used = new Set();
+    const candidates = [];
+    for (const pair of pairs) {
+        if (used.has(`old|${pair.old_name}`) || used.has(`new|${pair.new_name}`)) continue;
+        used.add(`old|${pair.old_name}`);
+        used.add(`new|${pair.new_name}`);
+
+        // Pairs seen before (including rejected ones) are not flagged again
+        const result = await run(db, `
+            INSERT OR IGNORE INTO RenameCandidate (old_name, new_name, sync_id, score, status, created_date)
+            VALUES (?, ?, ?, ?, 'pending', datetime('now'))
+        `, [pair.old_name, pair.new_name, syncId, Math.round(pair.score * 10000) / 10000]);
+        if (result.changes > 0) {
+            console.log(`Possible rename: ${pair.old_name} -> ${pair.new_name} (score ${pair.score.toFixed(4)})`);
+            candidates.push(pair);
+        }
+    }
+    return candidates;
+}
+
+// Helper function to get a name as it was last spelled on any board (the name itself when it never was)
+const getBoardName = async (db, name) => {
+    const rows = await all(db, `
+        SELECT name FROM (
+            SELECT TRIM(name) AS name, folder_date FROM ${historyOf('XBLTotal')} WHERE TRIM(name) = ? COLLATE NOCASE
+            UNION ALL
+            SELECT TRIM(name) AS name, folder_date FROM ${historyOf('LeaderboardEntry')} WHERE TRIM(name) = ? COLLATE NOCASE
+        )
+        ORDER BY folder_date DESC
+        LIMIT 1
+    `, [name, name]);
+    return rows.length > 0 ? rows[0].name : name;
+};
+
+// Helper function to link oldName to the identity of newName, which becomes the display name for both.
+// Names already merged into oldName's identity move along with it. Runs inside the caller's transaction.
+const linkNames = async (db, oldName, newName) => {
+    const findIdentity = async (name) => {
+        const rows = await all(db, 'SELECT identity_id FROM PlayerName WHERE name = ?', [name]);
+        return rows.length > 0 ? rows[0].identity_id : null;
+    };
+
+    let identityId = await findIdentity(newName);
+    if (identityId === null) {
+        const result = await run(db, `INSERT INTO PlayerIdentity (display_name, created_date) VALUES (?, datetime('now'))`, [newName]);
+        identityId = result.lastID;
+        await run(db, `INSERT INTO PlayerName (name, identity_id, created_date) VALUES (?, ?, datetime('now'))`, [newName, identityId]);
+    }
+
+    const oldIdentityId = await findIdentity(oldName);
+    if (oldIdentityId === null) {
+        await run(db, `INSERT INTO PlayerName (name, identity_id, created_date) VALUES (?, ?, datetime('now'))`, [oldName, identityId]);
+    } else if (oldIdentityId !== identityId) {
+        await run(db, 'UPDATE PlayerName SET identity_id = ? WHERE identity_id = ?', [identityId, oldIdentityId]);
+        await run(db, 'DELETE FROM PlayerIdentity WHERE identity_id = ?', [oldIdentityId]);
+    }
+
+    await run(db, 'UPDATE PlayerIdentity SET display_name = ? WHERE identity_id = ?', [newName, identityId]);
+    return identityId;
+};
+
+// Link oldName to the identity of newName, which becomes the display name for both. Names are trimmed
+// and matched case-insensitively (PlayerName.name is COLLATE NOCASE), and stored as they were last spelled
+// on the board. Returns the display name.
+async function mergeNames(db, oldName, newName) {
+    return transaction(db, async () => {
+        const [from, to] = [await getBoardName(db, oldName.trim()), await getBoardName(db, newName.trim())];
+        await linkNames(db, from, to);
+        return to;
+    });
+}
+
+// Confirm or reject a pending rename candidate. Confirming merges the two names.
+async function resolveRename(db, candidateId, confirm) {
+    const rows = await all(db, 'SELECT * FROM RenameCandidate WHERE id = ?', [candidateId]);
+    if (rows.length === 0) {
+        return null;
+    }
+    const candidate = rows[0];
+    if (candidate.status !== 'pending') {
+        return candidate;
+    }
+
+    await transaction(db, async () => {
+        if (confirm) {
+            await linkNames(db, candidate.old_name.trim(), candidate.new_name.trim());
+        }
+        await run(db, `UPDATE RenameCandidate SET status = ?, resolved_date = datetime('now') WHERE id = ?`,
+            [confirm ? 'confirmed' : 'rejected', candidateId]);
+    });
+    return (await all(db, 'SELECT * FROM RenameCandidate WHERE id = ?', [candidateId]))[0];
+}
+
+// Get every name linked to the same identity as name, as stored (just the name as spelled on the board
+// when it was never merged)
+async function getAliases(db, name) {
+    const rows = await all(db, `
+        SELECT pn2.name FROM PlayerName pn
+        INNER JOIN PlayerName pn2 ON pn2.identity_id = pn.identity_id
+        WHERE pn.name = ? COLLATE NOCASE
+        ORDER BY pn2.created_date ASC, pn2.name ASC
+    `, [name]);
+    return rows.length > 0 ? rows.map(row => row.name) : [await getBoardName(db, name.trim())];
+}
+
+module.exports = {
+    detectRenames,
+    mergeNames,
+    resolveRename,
+    getAliases
+};
@@ -0,0 +1,458 @@
+const { openDatabase, run, all } = require('./repository');
+
+// Legacy tables that stored XBLTotal rows under generic field names
+const LEGACY_TABLES = ['XBLTotal1', 'XBLTotal2', 'XBLTotal3'];
+
+// Mapping of the legacy generic field names onto the XBLTotal columns
+const LEGACY_FIELD_MAPPING = {
+    leaderboard_id: 'field2',
+    rank: 'field3',
+    name: 'field4',
+    first_place_finishes: 'field5',
+    second_place_finishes: 'field6',
+    third_place_finishes: 'field7',
+    races_completed: 'field8',
+    kudos_rank: 'field9',
+    kudos: 'field10',
+    folder_date: 'field11',
+    data_date: 'field12',
+    sync_id: 'field13'
+};
+
+// Helper function to list the columns of a table (empty if the table does not exist)
+const getColumns = async (db, tableName) => {
+    const rows = await all(db, `PRAGMA table_info(${tableName})`);
+    return rows.map(row => row.name);
+};
+
+// Migrations run once each, in version order. Add new ones at the end; never edit an applied one.
+const migrations = [
+    {
+        version: 1,
+        description: 'Create Sync, XBLTotal, Leaderboard and LeaderboardEntry tables',
+        up: async (db) => {
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS Sync (
+                    sync_id TEXT PRIMARY KEY,
+                    sync_date TEXT NOT NULL
+                )
+            `);
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS XBLTotal (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    leaderboard_id INTEGER,
+                    rank INTEGER,
+                    name TEXT,
+                    first_place_finishes INTEGER,
+                    second_place_finishes INTEGER,
+                    third_place_finishes INTEGER,
+                    races_completed INTEGER,
+                    kudos_rank INTEGER,
+                    kudos INTEGER,
+                    folder_date TEXT,
+                    data_date TEXT,
+                    sync_id TEXT
+                )
+            `);
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS Leaderboard (
+                    leaderboard_id INTEGER PRIMARY KEY,
+                    name TEXT,
+                    columns TEXT,
+                    updated_date TEXT
+                )
+            `);
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS LeaderboardEntry (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    leaderboard_id INTEGER NOT NULL,
+                    rank INTEGER,
+                    name TEXT,
+                    data TEXT,
+                    folder_date TEXT,
+                    data_date TEXT,
+                    sync_id TEXT
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        description: 'Copy legacy XBLTotal1/2/3 rows into XBLTotal',
+        up: async (db) => {
+            for (const tableName of LEGACY_TABLES) {
+                const legacyColumns = await getColumns(db, tableName);
+                if (legacyColumns.length === 0) continue;
+
+                const name = LEGACY_FIELD_MAPPING.name;
+                const folderDate = LEGACY_FIELD_MAPPING.folder_date;
+                if (!legacyColumns.includes(name) || !legacyColumns.includes(folderDate)) {
+                    console.warn(`Skipping ${tableName}: missing ${name} (name) or ${folderDate} (folder_date)`);
+                    continue;
+                }
+
+                // Build the SELECT list, falling back to NULL for fields the table never had
+                const field = (column) => {
+                    const legacyColumn = LEGACY_FIELD_MAPPING[column];
+                    return legacyColumns.includes(legacyColumn) ? `l.${legacyColumn}` : 'NULL';
+                };
+                const columns = Object.keys(LEGACY_FIELD_MAPPING);
+                const selectList = columns.map(column => {
+                    if (column === 'leaderboard_id') return `COALESCE(${field(column)}, 1)`;
+                    // Rows without a sync link get one per snapshot so they can still be grouped
+                    if (column === 'sync_id') return `COALESCE(${field(column)}, 'legacy-' || l.${folderDate})`;
+                    return field(column);
+                });
+
+                const result = await run(db, `
+                    INSERT INTO XBLTotal (${columns.join(', ')})
+                    SELECT ${selectList.join(', ')}
+                    FROM ${tableName} l
+                    WHERE l.${name} IS NOT NULL AND TRIM(l.${name}) != '' AND l.${folderDate} IS NOT NULL
+                    AND NOT EXISTS (
+                        SELECT 1 FROM XBLTotal x
+                        WHERE x.name = l.${name} AND x.folder_date = l.${folderDate}
+                    )
+                `);
+                console.log(`Copied ${result.changes} rows from ${tableName} into XBLTotal`);
+            }
+
+            // Every sync_id referenced by XBLTotal needs a Sync row
+            const result = await run(db, `
+                INSERT INTO Sync (sync_id, sync_date)
+                SELECT sync_id, MIN(folder_date)
+                FROM XBLTotal
+                WHERE sync_id IS NOT NULL AND sync_id NOT IN (SELECT sync_id FROM Sync)
+                GROUP BY sync_id
+            `);
+            console.log(`Created ${result.changes} Sync rows for legacy data`);
+        }
+    },
+    {
+        version: 3,
+        description: 'Add status, row_count, duration_ms and error to Sync',
+        up: async (db) => {
+            await run(db, 'ALTER TABLE Sync ADD COLUMN status TEXT');
+            await run(db, 'ALTER TABLE Sync ADD COLUMN row_count INTEGER');
+            await run(db, 'ALTER TABLE Sync ADD COLUMN duration_ms INTEGER');
+            await run(db, 'ALTER TABLE Sync ADD COLUMN error TEXT');
+
+            // Existing syncs count as successful if they stored any rows
+            await run(db, `
+                UPDATE Sync SET row_count =
+                    (SELECT COUNT(*) FROM XBLTotal WHERE XBLTotal.sync_id = Sync.sync_id) +
+                    (SELECT COUNT(*) FROM LeaderboardEntry WHERE LeaderboardEntry.sync_id = Sync.sync_id)
+            `);
+            await run(db, `
+                UPDATE Sync SET
+                    status = CASE WHEN row_count > 0 THEN 'success' ELSE 'failed' END,
+                    error = CASE WHEN row_count > 0 THEN NULL ELSE 'No rows stored' END
+            `);
+        }
+    },
+    {
+        version: 4,
+        description: 'Create WebhookSubscription and WebhookDelivery tables',
+        up: async (db) => {
+            await run(db, `
+                CREATE TABLE WebhookSubscription (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    url TEXT NOT NULL,
+                    rule TEXT NOT NULL,
+                    secret TEXT,
+                    active INTEGER NOT NULL DEFAULT 1,
+                    created_date TEXT
+                )
+            `);
+            await run(db, `
+                CREATE TABLE WebhookDelivery (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    subscription_id INTEGER NOT NULL,
+                    sync_id TEXT,
+                    status TEXT NOT NULL,
+                    attempts INTEGER,
+                    response_status INTEGER,
+                    error TEXT,
+                    payload TEXT,
+                    created_date TEXT
+                )
+            `);
+        }
+    },
+    {
+        version: 5,
+        description: 'Create PlayerIdentity, PlayerName and RenameCandidate tables',
+        up: async (db) => {
+            await run(db, `
+                CREATE TABLE PlayerIdentity (
+                    identity_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    display_name TEXT NOT NULL,
+                    created_date TEXT
+                )
+            `);
+            await run(db, `
+                CREATE TABLE PlayerName (
+                    name TEXT PRIMARY KEY,
+                    identity_id INTEGER NOT NULL,
+                    created_date TEXT
+                )
+            `);
+            await run(db, `
+                CREATE TABLE RenameCandidate (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    old_name TEXT NOT NULL,
+                    new_name TEXT NOT NULL,
+                    sync_id TEXT,
+                    score REAL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    created_date TEXT,
+                    resolved_date TEXT,
+                    UNIQUE (old_name, new_name)
+                )
+            `);
+        }
+    },
+    {
+        version: 6,
+        description: 'Add validation_errors to Sync',
+        up: async (db) => {
+            await run(db, 'ALTER TABLE Sync ADD COLUMN validation_errors TEXT');
+        }
+    },
+    {
+        version: 7,
+        description: 'Add deleted_at to Sync and create AuditLog',
+        up: async (db) => {
+            // Deleted syncs keep their rows so they can be restored
+            await run(db, 'ALTER TABLE Sync ADD COLUMN deleted_at TEXT');
+            await run(db, `
+                CREATE TABLE AuditLog (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    details TEXT,
+                    remote_addr TEXT,
+                    created_date TEXT NOT NULL
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Store change-only syncs: Sync.snapshot_type and removed rows',
+        up: async (db) => {
+            // Every sync stored so far holds complete boards
+            await run(db, 'ALTER TABLE Sync ADD COLUMN snapshot_type TEXT');
+            await run(db, `UPDATE Sync SET snapshot_type = 'full'`);
+            await run(db, 'ALTER TABLE XBLTotal ADD COLUMN removed INTEGER NOT NULL DEFAULT 0');
+            await run(db, 'ALTER TABLE LeaderboardEntry ADD COLUMN removed INTEGER NOT NULL DEFAULT 0');
+        }
+    },
+    {
+        version: 9,
+        description: 'Create rollup tables for retention and the history views over raw and rolled up rows',
+        up: async (db) => {
+            // Rows of the one sync kept per day or week once raw rows are thinned out: every change over
+            // the period it stands for, like a delta sync, or the whole board when the period held a full sync
+            await run(db, `
+                CREATE TABLE XBLTotalRollup (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    period TEXT NOT NULL,
+                    period_start TEXT NOT NULL,
+                    leaderboard_id INTEGER,
+                    rank INTEGER,
+                    name TEXT,
+                    first_place_finishes INTEGER,
+                    second_place_finishes INTEGER,
+                    third_place_finishes INTEGER,
+                    races_completed INTEGER,
+                    kudos_rank INTEGER,
+                    kudos INTEGER,
+                    folder_date TEXT,
+                    data_date TEXT,
+                    sync_id TEXT NOT NULL,
+                    removed INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+            await run(db, `
+                CREATE TABLE LeaderboardEntryRollup (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    period TEXT NOT NULL,
+                    period_start TEXT NOT NULL,
+                    leaderboard_id INTEGER NOT NULL,
+                    rank INTEGER,
+                    name TEXT,
+                    data TEXT,
+                    folder_date TEXT,
+                    data_date TEXT,
+                    sync_id TEXT NOT NULL,
+                    removed INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+            // The period ('day' or 'week') a kept sync stands for once the others in it were removed
+            await run(db, 'ALTER TABLE Sync ADD COLUMN rollup_period TEXT');
+            await run(db, 'CREATE INDEX idx_xbltotal_rollup_sync ON XBLTotalRollup (sync_id)');
+            await run(db, 'CREATE INDEX idx_leaderboard_entry_rollup_sync ON LeaderboardEntryRollup (sync_id)');
+
+            // Readers go through these so rolled up syncs read like any other sync
+            await run(db, `
+                CREATE VIEW XBLTotalHistory AS
+                SELECT id, leaderboard_id, rank, name, first_place_finishes, second_place_finishes, third_place_finishes,
+                       races_completed, kudos_rank, kudos, folder_date, data_date, sync_id, removed
+                FROM XBLTotal
+                UNION ALL
+                SELECT id, leaderboard_id, rank, name, first_place_finishes, second_place_finishes, third_place_finishes,
+                       races_completed, kudos_rank, kudos, folder_date, data_date, sync_id, removed
+                FROM XBLTotalRollup
+            `);
+            await run(db, `
+                CREATE VIEW LeaderboardEntryHistory AS
+                SELECT id, leaderboard_id, rank, name, data, folder_date, data_date, sync_id, removed
+                FROM LeaderboardEntry
+                UNION ALL
+                SELECT id, leaderboard_id, rank, name, data, folder_date, data_date, sync_id, removed
+                FROM LeaderboardEntryRollup
+            `);
+        }
+    },
+    {
+        version: 10,
+        description: 'Index the sync_id, name and folder_date columns of the leaderboard row tables',
+        up: async (db) => {
+            const indexes = [
+                ['idx_xbltotal_sync', 'XBLTotal (sync_id)'],
+                ['idx_xbltotal_name', 'XBLTotal (name)'],
+                ['idx_xbltotal_folder_date', 'XBLTotal (folder_date)'],
+                ['idx_leaderboard_entry_sync', 'LeaderboardEntry (sync_id)'],
+                ['idx_leaderboard_entry_name', 'LeaderboardEntry (name)'],
+                ['idx_leaderboard_entry_folder_date', 'LeaderboardEntry (folder_date)'],
+                ['idx_xbltotal_rollup_name', 'XBLTotalRollup (name)'],
+                ['idx_xbltotal_rollup_folder_date', 'XBLTotalRollup (folder_date)'],
+                ['idx_leaderboard_entry_rollup_name', 'LeaderboardEntryRollup (name)'],
+                ['idx_leaderboard_entry_rollup_folder_date', 'LeaderboardEntryRollup (folder_date)']
+            ];
+            for (const [name, columns] of indexes) {
+                await run(db, `CREATE INDEX IF NOT EXISTS ${name} ON ${columns}`);
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Index Sync.sync_date, which boards are rebuilt and listed by',
+        up: async (db) => {
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_sync_sync_date ON Sync (sync_date)');
+        }
+    },
+    {
+        version: 12,
+        description: 'Store PlayerName.name trimmed and match it case-insensitively',
+        up: async (db) => {
+            await run(db, `
+                CREATE TABLE PlayerNameNocase (
+                    name TEXT PRIMARY KEY COLLATE NOCASE,
+                    identity_id INTEGER NOT NULL,
+                    created_date TEXT
+                )
+            `);
+            // Names that only differed in case or spacing keep the link made first
+            await run(db, `
+                INSERT OR IGNORE INTO PlayerNameNocase (name, identity_id, created_date)
+                SELECT TRIM(name), identity_id, created_date FROM PlayerName
+                ORDER BY created_date ASC, rowid ASC
+            `);
+            await run(db, 'DROP TABLE PlayerName');
+            await run(db, 'ALTER TABLE PlayerNameNocase RENAME TO PlayerName');
+            await run(db, 'DELETE FROM PlayerIdentity WHERE identity_id NOT IN (SELECT identity_id FROM PlayerName)');
+        }
+    },
+    {
+        version: 13,
+        description: 'Give rolled up rows ids after every raw row, so ids are unique in the history views',
+        up: async (db) => {
+            for (const [table, rollup] of [['XBLTotal', 'XBLTotalRollup'], ['LeaderboardEntry', 'LeaderboardEntryRollup']]) {
+                const rows = await all(db, `
+                    SELECT MAX(id) as id FROM (
+                        SELECT MAX(id) as id FROM ${table}
+                        UNION ALL SELECT MAX(id) FROM ${rollup}
+                        UNION ALL SELECT seq FROM sqlite_sequence WHERE name = ?
+                    )
+                `, [table]);
+                const shift = rows[0].id || 0;
+                // Shifting by the largest id in use keeps the order of the rollup rows and never collides
+                await run(db, `UPDATE ${rollup} SET id = id + ?`, [shift]);
+                const last = await all(db, `SELECT MAX(id) as id FROM ${rollup}`);
+                if (last[0].id !== null) {
+                    const updated = await run(db, 'UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?', [last[0].id, table]);
+                    if (updated.changes === 0) {
+                        await run(db, 'INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)', [table, last[0].id]);
+                    }
+                }
+            }
+        }
+    },
+    {
+        version: 14,
+        description: 'Store the sync_date of syncs created for legacy data as ISO timestamps, like every other sync',
+        up: async (db) => {
+            // Version 2 dated them with their folder_date ('YYYY-MM-DD HH:MM:SS', UTC), which sorts before
+            // ISO timestamps of the same second
+            const result = await run(db, `
+                UPDATE Sync SET sync_date = REPLACE(sync_date, ' ', 'T') || '.000Z'
+                WHERE sync_date GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] [0-9][0-9]:[0-9][0-9]:[0-9][0-9]'
+            `);
+            console.log(`Normalized the sync_date of ${result.changes} legacy syncs`);
+        }
+    }
+];
+
+// Helper function to get the schema version currently applied to the database
+const getSchemaVersion = async (db) => {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS SchemaVersion (
+            version INTEGER PRIMARY KEY,
+            description TEXT,
+            applied_date TEXT
+        )
+    `);
+    const rows = await all(db, 'SELECT MAX(version) as version FROM SchemaVersion');
+    return rows[0].version || 0;
+};
+
+// Apply every pending migration, each one inside its own transaction
+async function migrate(db) {
+    let version = await getSchemaVersion(db);
+
+    for (const migration of migrations) {
+        if (migration.version <= version) continue;
+
+        console.log(`Applying migration ${migration.version}: ${migration.description}`);
+        await run(db, 'BEGIN TRANSACTION');
+        try {
+            await migration.up(db);
+            await run(db, `INSERT INTO SchemaVersion (version, description, applied_date) VALUES (?, ?, datetime('now'))`,
+                [migration.version, migration.description]);
+            await run(db, 'COMMIT');
+        } catch (err) {
+            await run(db, 'ROLLBACK');
+            throw new Error(`Migration ${migration.version} failed: ${err.message}`);
+        }
+        version = migration.version;
+    }
+
+    return version;
+}
+
+// Run the migrations when called directly: node migrate.js
+if (require.main === module) {
+    const db = openDatabase();
+
+    migrate(db)
+        .then(version => console.log(`Database schema is at version ${version}`))
+        .catch(err => {
+            console.error('Error migrating database:', err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+}
+
+module.exports = { migrate, migrations };
@@ -0,0 +1,116 @@
+const { walkHistory } = require('./snapshots');
+const { RULES } = require('./webhooks');
+const { MILESTONE_OVERTAKE_TOP } = require('./config');
+
+// Round numbers worth announcing, per lifetime counter
+const MILESTONE_THRESHOLDS = {
+    first_place_finishes: 100,
+    races_completed: 1000,
+    kudos: 10000
+};
+
+// Top of the board that counts for entered_top events
+const MILESTONE_TOP = 10;
+
+// Event types /api2/milestones can filter on
+const MILESTONE_TYPES = ['milestone', 'best_rank', 'entered_top', 'overtake'];
+
+// Helper function to format a number for an event description (12345 -> "12,345")
+const formatNumber = (value) => Number(value).toLocaleString('en-US');
+
+// Helper function to add a readable description to an event
+const describe = (event) => {
+    switch (event.type) {
+        case 'milestone':
+            return `${event.name} reached ${formatNumber(event.milestone)} ${event.metric.replace(/_/g, ' ')}`;
+        case 'best_rank':
+            return `${event.name} reached a new best rank of #${event.rank} (previous best #${event.previous_best})`;
+        case 'entered_top':
+            return `${event.name} entered the top ${event.top} at #${event.rank}`;
+        case 'overtake':
+            return `${event.name} overtook ${event.other} for #${event.rank}`;
+        default:
+            return event.type;
+    }
+};
+
+// Helper function to find the events between two consecutive snapshots. bestRanks holds each
+// player's best rank before current and is updated with current.
+const compareSnapshots = (previous, current, bestRanks) => {
+    const events = [];
+
+    Object.entries(MILESTONE_THRESHOLDS).forEach(([metric, every]) => {
+        events.push(...RULES.milestone.evaluate({ metric, every }, previous, current));
+    });
+    events.push(...RULES.entered_top.evaluate({ top: MILESTONE_TOP }, previous, current));
+
+    current.forEach((row, name) => {
+        if (!(row.rank > 0)) return;
+        const best = bestRanks.get(name);
+        if (best !== undefined && row.rank < best) {
+            events.push({ type: 'best_rank', name, rank: row.rank, previous_best: best });
+        }
+        if (best === undefined || row.rank < best) {
+            bestRanks.set(name, row.rank);
+        }
+    });
+
+    // Overtakes: a was behind b before and is ahead of b now
+    const contenders = Array.from(current.values())
+        .filter(row => row.rank > 0 && row.rank <= MILESTONE_OVERTAKE_TOP && previous.has(row.name) && previous.get(row.name).rank > 0);
+    contenders.forEach(a => {
+        contenders.forEach(b => {
+            if (a.rank < b.rank && previous.get(a.name).rank > previous.get(b.name).rank) {
+                events.push({ type: 'overtake', name: a.name, other: b.name, rank: a.rank, other_rank: b.rank });
+            }
+        });
+    });
+
+    return events;
+};
+
+// Find notable events in the XBLTotal history by comparing each successful sync that changed the
+// board with the board before it. from/to are inclusive folder_date bounds ('YYYY-MM-DD HH:MM:SS' or a
+// prefix of it) on the sync date; syncs outside them are skipped, but best ranks still count the whole
+// history. Newest first.
+async function findMilestones(db, { from = null, to = null } = {}) {
+    const eventsBySync = [];
+    const bestRanks = new Map();
+    let first = true;
+    await walkHistory(db, { to }, (sync, players, changes) => {
+        if (changes.size === 0) return;
+
+        // The first sync ever and the syncs before the range only set the best ranks
+        if (first || (from && sync.date < from)) {
+            changes.forEach((before, name) => {
+                const row = players.get(name);
+                if (row && row.rank > 0 && !(bestRanks.get(name) <= row.rank)) bestRanks.set(name, row.rank);
+            });
+            first = false;
+            return;
+        }
+
+        const previous = new Map(players);
+        changes.forEach((before, name) => {
+            if (before) {
+                previous.set(name, before);
+            } else {
+                previous.delete(name);
+            }
+        });
+        eventsBySync.push(compareSnapshots(previous, players, bestRanks).map(event => ({
+            sync_id: sync.sync_id,
+            sync_date: sync.sync_date,
+            folder_date: sync.date,
+            ...event,
+            description: describe(event)
+        })));
+    });
+
+    return eventsBySync.reverse().flat();
+}
+
+module.exports = {
+    MILESTONE_TYPES,
+    findMilestones
+};
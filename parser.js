@@ -0,0 +1,127 @@
+const cheerio = require('cheerio');
+const { XBLTOTAL_LEADERBOARD_ID } = require('./config');
+
+// Helper function to turn table headers into column keys ("Races Completed" -> "races_completed")
+const getColumnKeys = (headers) => {
+    const seen = new Set();
+    return headers.map((header, index) => {
+        let key = header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || `column${index + 1}`;
+        if (seen.has(key)) {
+            key = `${key}_${index + 1}`;
+        }
+        seen.add(key);
+        return key;
+    });
+};
+
+// Helper function to parse a cell as a number when it looks like one ("1,234" -> 1234), otherwise keep the text
+const parseCellValue = (text) => {
+    if (/^-?[\d,]+$/.test(text)) {
+        return parseInt(text.replace(/,/g, ''));
+    }
+    return text;
+};
+
+// Helper function to map an XBLTotal row (leaderboard ID 1) onto its columns
+const parseXBLTotalRow = (cells) => {
+    if (!cells || cells.length < 8) return null;
+
+    return {
+        rank: parseInt(cells[0]) || 0,
+        name: cells[1] || '',
+        first_place_finishes: parseInt(cells[2]) || 0,
+        second_place_finishes: parseInt(cells[3]) || 0,
+        third_place_finishes: parseInt(cells[4]) || 0,
+        races_completed: parseInt(cells[5]) || 0,
+        kudos_rank: parseInt(cells[6]) || 0,
+        kudos: parseInt(cells[7]) || 0
+    };
+};
+
+// Helper function to map a row of any other leaderboard using that board's own columns.
+// The first two cells are always rank and name, the rest are kept as a JSON object.
+const parseLeaderboardRow = (cells, columns) => {
+    if (!cells || cells.length < 2) return null;
+
+    const data = {};
+    cells.slice(2).forEach((text, index) => {
+        data[columns[index + 2] || `column${index + 3}`] = parseCellValue(text);
+    });
+
+    return {
+        rank: parseInt(cells[0]) || 0,
+        name: cells[1] || '',
+        data
+    };
+};
+
+// Read the header row and the raw cell text of every row of the leaderboard table
+const readTableHtml = (html) => {
+    const $ = cheerio.load(html);
+    const headers = $('table.table-striped thead th').map((i, th) => $(th).text().trim()).get();
+    const rows = $('table.table-striped tbody tr').map((i, tr) => {
+        // Wrap in an array so cheerio's map doesn't flatten the cells
+        return [$(tr).find('td').map((j, td) => $(td).text().trim()).get()];
+    }).get();
+    return { headers, rows };
+};
+
+// Read the options of the leaderboard select box, including which one is selected
+const readLeaderboardOptions = (html) => {
+    const $ = cheerio.load(html);
+    return $('#leaderboard-select option').map((i, option) => ({
+        value: $(option).attr('value'),
+        text: $(option).text().trim(),
+        selected: $(option).attr('selected') !== undefined
+    })).get();
+};
+
+// Helper function to count the numeric XBLTotal cells that don't parse (and so are stored as 0)
+const countInvalidCells = (rows) => {
+    let invalid = 0;
+    rows.forEach(cells => {
+        if (cells.length < 8) return;
+        [0, 2, 3, 4, 5, 6, 7].forEach(index => {
+            if (isNaN(parseInt(cells[index]))) invalid++;
+        });
+    });
+    return invalid;
+};
+
+// Turn the rows of a leaderboard table into entries for that board.
+// invalidCells counts XBLTotal numbers that could not be parsed.
+const parseLeaderboardRows = (table, leaderboardId) => {
+    const columns = getColumnKeys(table.headers);
+    if (leaderboardId === XBLTOTAL_LEADERBOARD_ID) {
+        return {
+            columns,
+            entries: table.rows.map(parseXBLTotalRow).filter(item => item !== null),
+            invalidCells: countInvalidCells(table.rows)
+        };
+    }
+    const entries = table.rows.map(cells => parseLeaderboardRow(cells, columns));
+    return { columns, entries: entries.filter(item => item !== null), invalidCells: 0 };
+};
+
+// Parse a saved leaderboard page into entries. The board is taken from the selected
+// option of the leaderboard select box unless leaderboardId is given.
+const parseLeaderboardHtml = (html, leaderboardId) => {
+    if (leaderboardId === undefined) {
+        const selected = readLeaderboardOptions(html).find(option => option.selected);
+        leaderboardId = selected ? parseInt(selected.value) : XBLTOTAL_LEADERBOARD_ID;
+    }
+    const table = readTableHtml(html);
+    return { leaderboardId, headers: table.headers, rows: table.rows, ...parseLeaderboardRows(table, leaderboardId) };
+};
+
+module.exports = {
+    XBLTOTAL_LEADERBOARD_ID,
+    getColumnKeys,
+    parseCellValue,
+    parseXBLTotalRow,
+    parseLeaderboardRow,
+    readTableHtml,
+    readLeaderboardOptions,
+    parseLeaderboardRows,
+    parseLeaderboardHtml
+};
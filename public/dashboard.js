@@ -0,0 +1,311 @@
+// Dashboard served by api2.js from public/. Talks to the /api2 endpoints of the same server and draws its
+// charts as plain SVG, so it needs no build step and nothing from outside this directory.
+(function () {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // The API's page size limit; the latest standings are read in pages of this size
+    const PAGE_SIZE = 1000;
+
+    // Dates are read and shown in the browser's time zone
+    const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+    // Line colours, picked in order
+    const COLORS = ['#2457c5', '#d9480f', '#2b8a3e', '#ae3ec9', '#c92a2a', '#0c8599', '#e67700', '#5c940d', '#862e9c', '#495057'];
+
+    const state = {
+        rows: [],
+        search: '',
+        sort: { column: 'rank', direction: 'asc' }
+    };
+
+    const $ = (id) => document.getElementById(id);
+
+    // Helper function to call the API. Returns { body, headers } and throws the API's error message on failure.
+    const api = async (path, params = {}) => {
+        const query = new URLSearchParams({ ...params, tz: TIME_ZONE });
+        const response = await fetch(`/api2${path}?${query}`);
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error((body && body.error) || `${response.status} ${response.statusText}`);
+        }
+        return { body, headers: response.headers };
+    };
+
+    // Helper function to create an element with attributes and children (strings become text nodes)
+    const el = (tag, attributes = {}, children = [], namespace = null) => {
+        const node = namespace ? document.createElementNS(namespace, tag) : document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+        children.forEach(child => node.append(typeof child === 'string' ? document.createTextNode(child) : child));
+        return node;
+    };
+    const svg = (tag, attributes = {}, children = []) => el(tag, attributes, children, SVG_NS);
+
+    // Helper function to format numbers and timestamps for display
+    const formatNumber = (value) => (value === null || value === undefined ? '–' : Number(value).toLocaleString());
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+    // Helper function to show what is loading, or an error
+    const setStatus = (message, isError = false) => {
+        $('status').textContent = message;
+        $('status').classList.toggle('error', isError);
+    };
+
+    // Helper function to run a loader, reporting its progress and errors in the header
+    const withStatus = async (message, load) => {
+        setStatus(message);
+        try {
+            await load();
+            setStatus('');
+        } catch (err) {
+            console.error(err);
+            setStatus(err.message, true);
+        }
+    };
+
+    // Standings
+
+    // Helper function to read every row of the latest standings, page by page
+    const fetchLatestStandings = async () => {
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { body, headers } = await api('/xbltotal', { limit: PAGE_SIZE, offset });
+            rows.push(...body);
+            const total = parseInt(headers.get('X-Total-Count'));
+            if (body.length < PAGE_SIZE || isNaN(total) || rows.length >= total) return rows;
+        }
+    };
+
+    const loadStandings = (date) => withStatus('Loading standings…', async () => {
+        const rows = date ? (await api(`/xbltotal/${encodeURIComponent(date)}`)).body : await fetchLatestStandings();
+        state.rows = rows.map(row => ({ ...row, name: (row.name || '').trim() }));
+        renderStandings();
+    });
+
+    // Helper function to compare two rows by the current sort column. Missing values sort last.
+    const compareRows = (a, b) => {
+        const { column, direction } = state.sort;
+        const x = a[column];
+        const y = b[column];
+        if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+        if (y === null || y === undefined) return -1;
+        const order = typeof x === 'string' ? x.localeCompare(y, undefined, { sensitivity: 'base' }) : x - y;
+        return direction === 'asc' ? order : -order;
+    };
+
+    const renderStandings = () => {
+        const search = state.search.toLowerCase();
+        const rows = state.rows.filter(row => row.name.toLowerCase().includes(search)).sort(compareRows);
+        const columns = Array.from(document.querySelectorAll('#standings th')).map(th => th.dataset.column);
+
+        const tbody = el('tbody', {}, rows.map(row => el('tr', {}, columns.map(column => {
+            if (column === 'name') {
+                return el('td', { class: 'name' }, [el('a', { href: `#player=${encodeURIComponent(row.name)}` }, [row.name])]);
+            }
+            return el('td', {}, [formatNumber(row[column])]);
+        }))));
+        $('standings').replaceChild(tbody, $('standings').tBodies[0]);
+
+        document.querySelectorAll('#standings th').forEach(th => {
+            if (th.dataset.column === state.sort.column) {
+                th.setAttribute('aria-sort', state.sort.direction === 'asc' ? 'ascending' : 'descending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+        });
+        $('row-count').textContent = rows.length === state.rows.length
+            ? `${rows.length} players`
+            : `${rows.length} of ${state.rows.length} players`;
+    };
+
+    // Charts
+
+    // Helper function to pick about count round tick values covering min..max
+    const getTicks = (min, max, count) => {
+        if (min === max) return [min];
+        const rough = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+            ticks.push(value);
+        }
+        return ticks;
+    };
+
+    // Draw a line chart of series ([{ name, points: [{ x: time in ms, y }] }]) into a container.
+    // invert puts the lowest values at the top, for ranks.
+    const renderLineChart = (container, series, { invert = false, legend = true } = {}) => {
+        container.replaceChildren();
+        const points = series.flatMap(line => line.points);
+        if (points.length === 0) {
+            container.append(el('p', { class: 'empty' }, ['No data for this period.']));
+            return;
+        }
+
+        const width = 800;
+        const height = 300;
+        const margin = { top: 10, right: 16, bottom: 28, left: 72 };
+        // Reduced rather than spread into Math.min/max, which overflows on long histories
+        const extent = (values) => values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [Infinity, -Infinity]);
+        const [minX, maxX] = extent(points.map(point => point.x));
+        let [minY, maxY] = extent(points.map(point => point.y));
+        if (minY === maxY) {
+            minY -= 1;
+            maxY += 1;
+        }
+        const scaleX = (x) => margin.left + (maxX === minX ? 0.5 : (x - minX) / (maxX - minX)) * (width - margin.left - margin.right);
+        const scaleY = (y) => {
+            const share = (y - minY) / (maxY - minY);
+            return margin.top + (invert ? share : 1 - share) * (height - margin.top - margin.bottom);
+        };
+
+        const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+
+        getTicks(minY, maxY, 5).forEach(tick => {
+            chart.append(
+                svg('line', { class: 'grid', x1: margin.left, x2: width - margin.right, y1: scaleY(tick), y2: scaleY(tick) }),
+                svg('text', { x: margin.left - 6, y: scaleY(tick) + 4, 'text-anchor': 'end' }, [formatNumber(tick)])
+            );
+        });
+        const days = (maxX - minX) / (24 * 60 * 60 * 1000);
+        const labels = days > 2 ? { month: 'short', day: 'numeric' } : { hour: '2-digit', minute: '2-digit' };
+        const xTicks = maxX === minX ? [minX] : Array.from({ length: 6 }, (_, index) => minX + (maxX - minX) * index / 5);
+        xTicks.forEach(tick => {
+            chart.append(svg('text', { x: scaleX(tick), y: height - 8, 'text-anchor': 'middle' },
+                [new Date(tick).toLocaleString(undefined, labels)]));
+        });
+        chart.append(
+            svg('line', { class: 'axis', x1: margin.left, x2: margin.left, y1: margin.top, y2: height - margin.bottom }),
+            svg('line', { class: 'axis', x1: margin.left, x2: width - margin.right, y1: height - margin.bottom, y2: height - margin.bottom })
+        );
+
+        series.forEach((line, index) => {
+            const color = COLORS[index % COLORS.length];
+            const sorted = line.points.slice().sort((a, b) => a.x - b.x);
+            const path = svg('polyline', {
+                class: 'series',
+                stroke: color,
+                points: sorted.map(point => `${scaleX(point.x)},${scaleY(point.y)}`).join(' ')
+            }, [svg('title', {}, [line.name])]);
+            chart.append(path);
+            // Single points and short series get markers, with the value as a tooltip
+            if (sorted.length <= 60) {
+                sorted.forEach(point => {
+                    chart.append(svg('circle', { cx: scaleX(point.x), cy: scaleY(point.y), r: 3, fill: color }, [
+                        svg('title', {}, [`${line.name}: ${formatNumber(point.y)} (${new Date(point.x).toLocaleString()})`])
+                    ]));
+                });
+            }
+        });
+        container.append(chart);
+
+        if (legend) {
+            container.append(el('div', { class: 'legend' }, series.map((line, index) => (
+                el('span', { style: `--color: ${COLORS[index % COLORS.length]}` }, [line.name])
+            ))));
+        }
+    };
+
+    // Chart dates are local days (YYYY-MM-DD); plot them at local midnight
+    const parseChartDate = (date) => (date.length === 10 ? new Date(`${date}T00:00:00`) : new Date(date)).getTime();
+
+    const loadKudosChart = (date) => withStatus('Loading chart…', async () => {
+        const { body } = await api('/xbltotal/chart', date ? { metric: 'kudos', top: 10, to: date } : { metric: 'kudos', top: 10 });
+        const series = Object.entries(body).map(([name, points]) => ({
+            name: name.trim(),
+            points: points.map(point => ({ x: parseChartDate(point.date), y: point.kudos }))
+        }));
+        renderLineChart($('kudos-chart'), series);
+    });
+
+    // Player details
+
+    const loadPlayer = (name) => withStatus(`Loading ${name}…`, async () => {
+        const { body } = await api(`/players/${encodeURIComponent(name)}`);
+        const current = body.current;
+        const playerName = body.name.trim();
+        $('player-name').textContent = playerName;
+        const aliases = body.aliases.filter(alias => alias.trim().toLowerCase() !== playerName.toLowerCase());
+        $('player-aliases').textContent = aliases.length > 0 ? `Also known as ${aliases.join(', ')}` : '';
+
+        const stats = [
+            ['Rank', formatNumber(current.rank)],
+            ['Kudos', formatNumber(current.kudos)],
+            ['Kudos rank', formatNumber(current.kudos_rank)],
+            ['Races', formatNumber(current.races_completed)],
+            ['1st / 2nd / 3rd', [current.first_place_finishes, current.second_place_finishes, current.third_place_finishes].map(formatNumber).join(' / ')],
+            ['Win rate', body.stats.win_rate === null ? '–' : `${(body.stats.win_rate * 100).toFixed(1)}%`],
+            ['Podium rate', body.stats.podium_rate === null ? '–' : `${(body.stats.podium_rate * 100).toFixed(1)}%`],
+            ['Kudos per race', formatNumber(body.stats.kudos_per_race)],
+            ['Best / worst rank', `${formatNumber(body.stats.best_rank)} / ${formatNumber(body.stats.worst_rank)}`],
+            ['Races per day', formatNumber(body.stats.avg_races_per_day)],
+            ['First seen', formatDate(body.first_seen)],
+            ['Last seen', formatDate(body.last_seen)]
+        ];
+        $('player-stats').replaceChildren(...stats.flatMap(([label, value]) => [el('dt', {}, [label]), el('dd', {}, [value])]));
+
+        const pointsOf = (column) => body.history
+            .filter(row => row[column] !== null && row[column] !== undefined)
+            .map(row => ({ x: new Date(row.folder_date).getTime(), y: row[column] }));
+        $('player').hidden = false;
+        renderLineChart($('player-kudos-chart'), [{ name: 'Kudos', points: pointsOf('kudos') }], { legend: false });
+        renderLineChart($('player-rank-chart'), [{ name: 'Rank', points: pointsOf('rank').filter(point => point.y > 0) }], { invert: true, legend: false });
+    });
+
+    // The open player is kept in the URL (#player=Name) so it can be linked to
+    const showPlayerFromHash = () => {
+        const match = location.hash.match(/^#player=(.+)$/);
+        if (match) {
+            loadPlayer(decodeURIComponent(match[1]));
+        } else {
+            $('player').hidden = true;
+        }
+    };
+
+    const closePlayer = () => {
+        history.replaceState(null, '', location.pathname + location.search);
+        $('player').hidden = true;
+    };
+
+    // Date picker
+
+    const loadDates = () => withStatus('Loading dates…', async () => {
+        const { body } = await api('/xbltotal/dates');
+        $('date-select').append(...body.map(date => el('option', { value: date }, [date])));
+    });
+
+    const loadBoard = () => {
+        const date = $('date-select').value;
+        return Promise.all([loadStandings(date), loadKudosChart(date)]);
+    };
+
+    // Wire everything up
+
+    $('date-select').addEventListener('change', loadBoard);
+    $('search').addEventListener('input', (event) => {
+        state.search = event.target.value.trim();
+        renderStandings();
+    });
+    document.querySelectorAll('#standings th').forEach(th => {
+        th.addEventListener('click', () => {
+            const { column, direction } = state.sort;
+            // Numbers start with the lowest rank or the highest count; names start at A
+            const initial = th.dataset.type === 'text' || th.dataset.column.endsWith('rank') ? 'asc' : 'desc';
+            state.sort = {
+                column: th.dataset.column,
+                direction: column === th.dataset.column ? (direction === 'asc' ? 'desc' : 'asc') : initial
+            };
+            renderStandings();
+        });
+    });
+    $('player-close').addEventListener('click', closePlayer);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !$('player').hidden) closePlayer();
+    });
+    window.addEventListener('hashchange', showPlayerFromHash);
+
+    loadDates().then(loadBoard);
+    showPlayerFromHash();
+})();
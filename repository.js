@@ -0,0 +1,200 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH, DB_BUSY_TIMEOUT_MS, XBLTOTAL_LEADERBOARD_ID } = require('./config');
+
+// Database access shared by api2.js, fetch2.js and the command line tools: the connection, the query
+// helpers and the Sync/XBLTotal/LeaderboardEntry writes. Reads of a board as of a sync are in snapshots.js.
+
+// Open the database at DB_PATH. The API and a scheduled fetcher each hold a connection to the same file, so a
+// write waits up to DB_BUSY_TIMEOUT_MS for the other one's transaction instead of failing straight away.
+const openDatabase = () => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+        if (err) {
+            console.error('Error opening database:', err);
+        } else {
+            console.log('Connected to the SQLite database.');
+        }
+    });
+    db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+    return db;
+};
+
+// The open or queued transaction on each connection, which statements from outside it wait for
+const pendingTransactions = new WeakMap();
+
+// The connection whose transaction the current code runs in (see transaction)
+const transactionScope = new AsyncLocalStorage();
+
+// Helper function to wait until a connection has no transaction open, unless the caller runs inside it.
+// SQLite transactions belong to the connection, so a statement sent while another request's transaction is
+// open would be committed or rolled back along with it.
+const waitForTransaction = async (db) => {
+    while (pendingTransactions.has(db) && transactionScope.getStore() !== db) {
+        await pendingTransactions.get(db);
+    }
+};
+
+// Helper function to run a statement
+const run = async (db, query, params = []) => {
+    await waitForTransaction(db);
+    return new Promise((resolve, reject) => {
+        db.run(query, params, function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+    });
+};
+
+// Helper function to execute queries
+const all = async (db, query, params = []) => {
+    await waitForTransaction(db);
+    return new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+// Helper function to wait until every queued run of a prepared statement has finished
+const finalizeStatement = (stmt) => {
+    return new Promise((resolve, reject) => {
+        stmt.finalize(err => (err ? reject(err) : resolve()));
+    });
+};
+
+// Run work(db) inside a write transaction, committing when it resolves and rolling back when it throws.
+// BEGIN IMMEDIATE takes the write lock up front so the other process can't slip in between. A connection
+// is shared between requests but can only be in one transaction at a time, so transactions on the same
+// connection run one after another, and statements from outside work wait until the transaction is over;
+// work must not start another transaction itself.
+const transaction = (db, work) => {
+    const previous = pendingTransactions.get(db) || Promise.resolve();
+    const result = previous.then(() => transactionScope.run(db, async () => {
+        await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+        try {
+            const value = await work(db);
+            await run(db, 'COMMIT');
+            return value;
+        } catch (err) {
+            await run(db, 'ROLLBACK');
+            throw err;
+        }
+    }));
+    const settled = result.catch(() => {}).then(() => {
+        if (pendingTransactions.get(db) === settled) pendingTransactions.delete(db);
+    });
+    pendingTransactions.set(db, settled);
+    return result;
+};
+
+// Create the Sync row for a run, marked as running until it finishes
+const startSync = (db, sync_id, sync_date) => {
+    return run(db, `INSERT INTO Sync (sync_id, sync_date, status) VALUES (?, ?, 'running')`, [sync_id, sync_date]);
+};
+
+// Record how a sync ended. Only 'success' syncs are served by the API; 'quarantined' syncs stored their
+// rows but failed validation and 'unchanged' syncs found nothing to store. snapshot_type is 'full' when
+// every board was stored whole, else 'delta'.
+const finishSync = (db, sync_id, { status, row_count = 0, duration_ms = null, error = null, validation_errors = null, snapshot_type = null }) => {
+    return run(db,
+        'UPDATE Sync SET status = ?, row_count = ?, duration_ms = ?, error = ?, validation_errors = ?, snapshot_type = ? WHERE sync_id = ?',
+        [status, row_count, duration_ms, error, validation_errors && JSON.stringify(validation_errors), snapshot_type, sync_id]
+    );
+};
+
+// Soft-delete a sync (its rows are kept but hidden from every public endpoint) or restore it
+const setSyncDeleted = (db, sync_id, deleted) => {
+    return run(db, `UPDATE Sync SET deleted_at = ${deleted ? "datetime('now')" : 'NULL'} WHERE sync_id = ?`, [sync_id]);
+};
+
+// Record a leaderboard and its current column layout
+const saveLeaderboard = (db, leaderboardId, name, columns) => {
+    return run(db, `
+        INSERT INTO Leaderboard (leaderboard_id, name, columns, updated_date)
+        VALUES (?, ?, ?, datetime('now'))
+        ON CONFLICT(leaderboard_id) DO UPDATE SET
+            name = excluded.name,
+            columns = excluded.columns,
+            updated_date = excluded.updated_date
+    `, [leaderboardId, name, JSON.stringify(columns)]);
+};
+
+// Helper function to insert the XBLTotal rows of a sync
+const insertXBLTotal = async (db, sync_id, entries, dates) => {
+    await waitForTransaction(db);
+    const stmt = db.prepare(`
+        INSERT INTO XBLTotal (
+            leaderboard_id, rank, name, first_place_finishes,
+            second_place_finishes, third_place_finishes, races_completed,
+            kudos_rank, kudos, folder_date, data_date, sync_id, removed
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), COALESCE(?, datetime('now')), ?, ?)
+    `);
+
+    entries.forEach(entry => {
+        stmt.run(
+            XBLTOTAL_LEADERBOARD_ID,
+            entry.rank,
+            entry.name,
+            entry.first_place_finishes,
+            entry.second_place_finishes,
+            entry.third_place_finishes,
+            entry.races_completed,
+            entry.kudos_rank,
+            entry.kudos,
+            dates.folder_date || null,
+            dates.data_date || null,
+            sync_id,
+            entry.removed ? 1 : 0
+        );
+    });
+
+    await finalizeStatement(stmt);
+};
+
+// Helper function to insert the rows of any other leaderboard for a sync
+const insertLeaderboardEntries = async (db, sync_id, leaderboardId, entries, dates) => {
+    await waitForTransaction(db);
+    const stmt = db.prepare(`
+        INSERT INTO LeaderboardEntry (
+            leaderboard_id, rank, name, data, folder_date, data_date, sync_id, removed
+        ) VALUES (?, ?, ?, ?, COALESCE(?, datetime('now')), COALESCE(?, datetime('now')), ?, ?)
+    `);
+
+    entries.forEach(entry => {
+        stmt.run(leaderboardId, entry.rank, entry.name, JSON.stringify(entry.data),
+            dates.folder_date || null, dates.data_date || null, sync_id, entry.removed ? 1 : 0);
+    });
+
+    await finalizeStatement(stmt);
+};
+
+// Insert the rows of one board for a sync: XBLTotal for the XBL total board, LeaderboardEntry for the
+// others. folder_date and data_date default to the current time when not given.
+const insertBoardRows = async (db, sync_id, leaderboardId, entries, dates = {}) => {
+    if (entries.length === 0) return;
+    if (leaderboardId === XBLTOTAL_LEADERBOARD_ID) {
+        await insertXBLTotal(db, sync_id, entries, dates);
+    } else {
+        await insertLeaderboardEntries(db, sync_id, leaderboardId, entries, dates);
+    }
+};
+
+module.exports = {
+    openDatabase,
+    run,
+    all,
+    finalizeStatement,
+    transaction,
+    startSync,
+    finishSync,
+    setSyncDeleted,
+    saveLeaderboard,
+    insertBoardRows
+};
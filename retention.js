@@ -0,0 +1,190 @@
+const { migrate } = require('./migrate');
+const { SYNC_DATE, historyOf, getSnapshotRows } = require('./snapshots');
+const { openDatabase, run, all, transaction } = require('./repository');
+const { DEFAULT_TIMEZONE, toFolderDate, toLocalDate, fromLocalDate } = require('./timezone');
+const { RETENTION_RAW_DAYS, RETENTION_DAILY_DAYS } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raw tables, the rollup tables that replace their older rows and the columns copied between them
+const ROLLUP_TABLES = [
+    {
+        table: 'XBLTotal',
+        rollup: 'XBLTotalRollup',
+        columns: ['leaderboard_id', 'rank', 'name', 'first_place_finishes', 'second_place_finishes',
+            'third_place_finishes', 'races_completed', 'kudos_rank', 'kudos', 'folder_date', 'data_date']
+    },
+    {
+        table: 'LeaderboardEntry',
+        rollup: 'LeaderboardEntryRollup',
+        columns: ['leaderboard_id', 'rank', 'name', 'data', 'folder_date', 'data_date']
+    }
+];
+
+// Helper function to get the id after every raw and rolled up row of a table, counting deleted ones, so
+// rollup rows never share an id with a raw row in the history views
+const getNextId = async (db, table, rollup) => {
+    const rows = await all(db, `
+        SELECT MAX(id) as id FROM (
+            SELECT MAX(id) as id FROM ${table}
+            UNION ALL SELECT MAX(id) FROM ${rollup}
+            UNION ALL SELECT seq FROM sqlite_sequence WHERE name IN (?, ?)
+        )
+    `, [table, rollup]);
+    return (rows[0].id || 0) + 1;
+};
+
+// Helper function to move a raw table's AUTOINCREMENT sequence to at least lastId, so raw rows written
+// later get ids after the rollup rows
+const reserveIds = async (db, table, lastId) => {
+    const updated = await run(db, 'UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?', [lastId, table]);
+    if (updated.changes === 0) {
+        await run(db, 'INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)', [table, lastId]);
+    }
+};
+
+// Helper function to get the first day (YYYY-MM-DD) of the day or week (starting Monday) a folder_date
+// falls in, in a time zone, and the UTC folder_date of the midnight that period ends at
+const getPeriod = (folderDate, period, timeZone) => {
+    const start = new Date(toLocalDate(folderDate, timeZone).substring(0, 10) + 'T00:00:00Z');
+    if (period === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    const end = new Date(start.getTime() + (period === 'week' ? 7 : 1) * DAY_MS);
+    return { start: toFolderDate(start).substring(0, 10), end: fromLocalDate(toFolderDate(end), timeZone) };
+};
+
+// Helper function to pick the period a sync is thinned out to: a week once the whole week is older than
+// the daily limit, a day once the whole day is older than the raw limit, otherwise null (kept as is)
+const getRollupPeriod = (folderDate, rawCutoff, dailyCutoff, timeZone) => {
+    const week = getPeriod(folderDate, 'week', timeZone);
+    if (week.end <= dailyCutoff) {
+        return { period: 'week', start: week.start };
+    }
+    const day = getPeriod(folderDate, 'day', timeZone);
+    if (day.end <= rawCutoff) {
+        return { period: 'day', start: day.start };
+    }
+    return null;
+};
+
+// Thin out old syncs according to the retention policy. Days and weeks are those of timeZone (default
+// DEFAULT_TIMEZONE), the zone the API cuts days in. Of all successful and unchanged syncs in a
+// day or week past the limits only the last one is kept: the rows stored by the syncs of the period
+// are folded into rollup rows of that sync, and the raw rows and Sync rows of the others are deleted.
+// Readers go through the history views, so the kept syncs read exactly as before. Webhook deliveries and
+// rename candidates of the removed syncs move to the kept one; the audit log keeps the sync ids it
+// recorded. Failed, quarantined and deleted syncs are left alone.
+// Runs in one transaction and returns { periods, syncs_removed, rows_removed, rollup_rows }.
+async function applyRetention(db, {
+    rawDays = RETENTION_RAW_DAYS,
+    dailyDays = RETENTION_DAILY_DAYS,
+    now = new Date(),
+    timeZone = DEFAULT_TIMEZONE
+} = {}) {
+    const rawCutoff = toFolderDate(new Date(now.getTime() - rawDays * DAY_MS));
+    const dailyCutoff = toFolderDate(new Date(now.getTime() - Math.max(rawDays, dailyDays) * DAY_MS));
+    const summary = { periods: 0, syncs_removed: 0, rows_removed: 0, rollup_rows: 0 };
+
+    await transaction(db, async () => {
+        const syncs = await all(db, `
+            SELECT s.sync_id, ${SYNC_DATE} as date, s.rollup_period
+            FROM Sync s
+            WHERE s.status IN ('success', 'unchanged') AND s.deleted_at IS NULL AND ${SYNC_DATE} < ?
+            ORDER BY s.sync_date ASC
+        `, [rawCutoff]);
+
+        // Group the syncs by the period they are thinned out to (syncs are in date order)
+        const groups = [];
+        syncs.forEach(sync => {
+            const period = getRollupPeriod(sync.date, rawCutoff, dailyCutoff, timeZone);
+            if (!period) return;
+            const last = groups[groups.length - 1];
+            if (last && last.period === period.period && last.start === period.start) {
+                last.syncs.push(sync);
+            } else {
+                groups.push({ ...period, syncs: [sync] });
+            }
+        });
+
+        // Oldest first, so each kept sync builds on the ones before it
+        for (const group of groups) {
+            const keep = group.syncs[group.syncs.length - 1];
+            if (group.syncs.length === 1 && keep.rollup_period === group.period) continue;
+
+            const syncIds = group.syncs.map(sync => sync.sync_id);
+            const placeholders = syncIds.map(() => '?').join(', ');
+            const full = (await all(db, `SELECT 1 FROM Sync WHERE sync_id IN (${placeholders}) AND snapshot_type = 'full'`, syncIds)).length > 0;
+
+            let written = 0;
+            for (const { table, rollup, columns } of ROLLUP_TABLES) {
+                const rows = [];
+                const boards = await all(db, `
+                    SELECT DISTINCT leaderboard_id FROM ${historyOf(table)} WHERE sync_id IN (${placeholders})
+                `, syncIds);
+                for (const { leaderboard_id } of boards) {
+                    // A full sync in the period can drop players without a removal row, so the kept sync
+                    // then holds the whole board; otherwise it holds the latest change per player
+                    const snapshot = full ? await getSnapshotRows(db, table, leaderboard_id, keep.sync_id) : [];
+                    rows.push(...(snapshot.length > 0 ? snapshot : await all(db, `
+                        SELECT * FROM (
+                            SELECT t.*, ROW_NUMBER() OVER (PARTITION BY TRIM(t.name) ORDER BY s.sync_date DESC, t.id DESC) as latest
+                            FROM ${historyOf(table)} t
+                            INNER JOIN Sync s ON s.sync_id = t.sync_id
+                            WHERE t.leaderboard_id = ? AND t.sync_id IN (${placeholders})
+                            AND t.name IS NOT NULL AND TRIM(t.name) != ''
+                        )
+                        WHERE latest = 1
+                    `, [leaderboard_id, ...syncIds])));
+                }
+
+                const deleted = await run(db, `DELETE FROM ${table} WHERE sync_id IN (${placeholders})`, syncIds);
+                await run(db, `DELETE FROM ${rollup} WHERE sync_id IN (${placeholders})`, syncIds);
+                summary.rows_removed += deleted.changes;
+
+                let nextId = await getNextId(db, table, rollup);
+                for (const row of rows) {
+                    await run(db, `
+                        INSERT INTO ${rollup} (id, period, period_start, ${columns.join(', ')}, sync_id, removed)
+                        VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')}, ?, ?)
+                    `, [nextId++, group.period, group.start, ...columns.map(column => row[column]), keep.sync_id, row.removed || 0]);
+                }
+                await reserveIds(db, table, nextId - 1);
+                written += rows.length;
+            }
+            summary.rollup_rows += written;
+
+            for (const referencing of ['WebhookDelivery', 'RenameCandidate']) {
+                await run(db, `UPDATE ${referencing} SET sync_id = ? WHERE sync_id IN (${placeholders})`, [keep.sync_id, ...syncIds]);
+            }
+            const removed = await run(db, `DELETE FROM Sync WHERE sync_id IN (${placeholders}) AND sync_id != ?`, [...syncIds, keep.sync_id]);
+            await run(db, `
+                UPDATE Sync SET status = ?, snapshot_type = ?, rollup_period = ?
+                WHERE sync_id = ?
+            `, [written > 0 ? 'success' : 'unchanged', full ? 'full' : 'delta', group.period, keep.sync_id]);
+            summary.syncs_removed += removed.changes;
+            summary.periods++;
+        }
+    });
+    return summary;
+}
+
+// Run the retention job on its own: node retention.js
+if (require.main === module) {
+    const db = openDatabase();
+    migrate(db)
+        .then(() => applyRetention(db))
+        .then(summary => {
+            console.log(`Rolled up ${summary.periods} period(s): removed ${summary.syncs_removed} sync(s) and ` +
+                `${summary.rows_removed} raw row(s), wrote ${summary.rollup_rows} rollup row(s)`);
+        })
+        .catch(err => {
+            console.error('Retention failed:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+}
+
+module.exports = {
+    applyRetention
+};
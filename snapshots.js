@@ -0,0 +1,438 @@
+const { all } = require('./repository');
+const { XBLTOTAL_LEADERBOARD_ID } = require('./config');
+
+// SQL to resolve an XBLTotal row (aliased t) to its player identity. Names without a
+// PlayerName link are their own identity; merged names resolve to the identity's display name.
+const IDENTITY_JOIN = `
+    LEFT JOIN PlayerName pn ON pn.name = TRIM(t.name)
+    LEFT JOIN PlayerIdentity pi ON pi.identity_id = pn.identity_id
+`;
+const PLAYER_NAME = 'COALESCE(pi.display_name, TRIM(t.name))';
+
+// Syncs store only the rows that changed since the sync before them ('delta'), plus a row with
+// removed = 1 for every player who left the board. 'full' syncs (the first one, imports and
+// everything stored before deltas) hold the whole board.
+
+// Name of the view over the raw rows of a table and the rolled up snapshots that replaced older
+// ones (see retention.js)
+const historyOf = (table) => `${table}History`;
+
+// Columns of a board's rows besides sync_id and removed
+const BOARD_COLUMNS = {
+    XBLTotal: ['id', 'leaderboard_id', 'rank', 'name', 'first_place_finishes', 'second_place_finishes', 'third_place_finishes',
+        'races_completed', 'kudos_rank', 'kudos', 'folder_date', 'data_date'],
+    LeaderboardEntry: ['id', 'leaderboard_id', 'rank', 'name', 'data', 'folder_date', 'data_date']
+};
+
+// SQL (a parenthesized subquery, to be aliased) for the complete rows of a board as of one sync:
+// the latest row per name from the last full sync at or before it onwards, leaving out players whose
+// latest row is a removal. Only successful syncs count, plus the requested sync itself so failed and
+// quarantined syncs can still be inspected. Takes the parameters returned by snapshotParams.
+const snapshotSource = (table) => `(
+    SELECT * FROM (
+        SELECT t.*, ROW_NUMBER() OVER (PARTITION BY TRIM(t.name) ORDER BY s.sync_date DESC, t.id DESC) as snapshot_row
+        FROM ${historyOf(table)} t
+        INNER JOIN Sync s ON s.sync_id = t.sync_id
+        WHERE t.leaderboard_id = ?
+        AND ((s.status = 'success' AND s.deleted_at IS NULL) OR s.sync_id = ?)
+        AND s.sync_date <= (SELECT sync_date FROM Sync WHERE sync_id = ?)
+        AND s.sync_date >= COALESCE((
+            SELECT MAX(b.sync_date) FROM Sync b
+            WHERE b.snapshot_type = 'full'
+            AND ((b.status = 'success' AND b.deleted_at IS NULL) OR b.sync_id = ?)
+            AND b.sync_date <= (SELECT sync_date FROM Sync WHERE sync_id = ?)
+            AND EXISTS (SELECT 1 FROM ${historyOf(table)} bt WHERE bt.sync_id = b.sync_id AND bt.leaderboard_id = ?)
+        ), '')
+        AND t.name IS NOT NULL AND TRIM(t.name) != ''
+    )
+    WHERE snapshot_row = 1 AND removed = 0
+)`;
+const snapshotParams = (leaderboardId, syncId) => [leaderboardId, syncId, syncId, syncId, syncId, leaderboardId];
+
+// Get the complete rows of a board as of one sync, best rank first
+const getSnapshotRows = async (db, table, leaderboardId, syncId) => {
+    const rows = await all(db, `
+        SELECT t.* FROM ${snapshotSource(table)} t
+        ORDER BY t.rank ASC, t.id ASC
+    `, snapshotParams(leaderboardId, syncId));
+    return rows.map(({ snapshot_row, removed, ...row }) => row);
+};
+
+// SQL (a parenthesized subquery, to be aliased) for the complete rows of a board as of every successful
+// or unchanged sync, with sync_id set to the sync each board is as of. A stored row holds from its sync
+// until the next row stored for the same name or the next full sync of the board, whichever comes first,
+// which gives the same boards as snapshotSource without rebuilding each one. Rows also carry the
+// sync_date of the sync the board is as of. Takes [leaderboardId].
+const historySource = (table) => `(
+    WITH stored AS (
+        SELECT t.*, s.sync_date as stored_date
+        FROM ${historyOf(table)} t
+        INNER JOIN Sync s ON s.sync_id = t.sync_id AND s.status = 'success' AND s.deleted_at IS NULL
+        WHERE t.leaderboard_id = ? AND t.name IS NOT NULL AND TRIM(t.name) != ''
+    ),
+    full_syncs AS MATERIALIZED (
+        SELECT DISTINCT stored.stored_date FROM stored
+        INNER JOIN Sync s ON s.sync_id = stored.sync_id AND s.snapshot_type = 'full'
+    ),
+    spans AS (
+        SELECT stored.*,
+               LEAD(stored_date) OVER (PARTITION BY TRIM(name) ORDER BY stored_date ASC, id ASC) as next_date,
+               (SELECT MIN(f.stored_date) FROM full_syncs f WHERE f.stored_date > stored.stored_date) as next_full_date
+        FROM stored
+    )
+    SELECT ${BOARD_COLUMNS[table].map(column => `t.${column}`).join(', ')}, v.sync_id, v.sync_date
+    FROM spans t
+    -- CROSS JOIN keeps the spans as the outer loop, so each one looks up its syncs by sync_date
+    CROSS JOIN Sync v ON v.sync_date >= t.stored_date
+        AND (t.next_date IS NULL OR v.sync_date < t.next_date)
+        AND (t.next_full_date IS NULL OR v.sync_date < t.next_full_date)
+        AND v.status IN ('success', 'unchanged') AND v.deleted_at IS NULL
+    WHERE t.removed = 0
+)`;
+
+// Replay the complete rows of a board sync by sync, for every successful or unchanged sync: the same
+// boards historySource reads, without keeping a query open while they are used. visit(sync, rows) is
+// awaited in order with sync as { sync_id, sync_date } and the board's rows best rank first, each with
+// sync_id set to the sync.
+const replayBoard = async (db, table, leaderboardId, visit) => {
+    const syncs = await all(db, `
+        SELECT s.sync_id, s.sync_date,
+               s.snapshot_type = 'full' AND EXISTS (
+                   SELECT 1 FROM ${historyOf(table)} t WHERE t.sync_id = s.sync_id AND t.leaderboard_id = ?
+               ) as full
+        FROM Sync s
+        WHERE s.status IN ('success', 'unchanged') AND s.deleted_at IS NULL
+        ORDER BY s.sync_date ASC
+    `, [leaderboardId]);
+    const rows = await all(db, `
+        SELECT t.*
+        FROM ${historyOf(table)} t
+        INNER JOIN Sync s ON s.sync_id = t.sync_id AND s.status = 'success' AND s.deleted_at IS NULL
+        WHERE t.leaderboard_id = ? AND t.name IS NOT NULL AND TRIM(t.name) != ''
+        ORDER BY s.sync_date ASC, t.id ASC
+    `, [leaderboardId]);
+    const rowsBySync = new Map();
+    rows.forEach(row => {
+        if (!rowsBySync.has(row.sync_id)) rowsBySync.set(row.sync_id, []);
+        rowsBySync.get(row.sync_id).push(row);
+    });
+
+    const board = new Map();
+    for (const sync of syncs) {
+        if (sync.full) board.clear();
+        (rowsBySync.get(sync.sync_id) || []).forEach(row => {
+            if (row.removed) {
+                board.delete(row.name.trim());
+            } else {
+                board.set(row.name.trim(), row);
+            }
+        });
+        const boardRows = Array.from(board.values())
+            .sort((a, b) => a.rank - b.rank || a.id - b.id)
+            .map(({ removed, ...row }) => ({ ...row, sync_id: sync.sync_id }));
+        await visit({ sync_id: sync.sync_id, sync_date: sync.sync_date }, boardRows);
+    }
+};
+
+// Sync.sync_date (an ISO timestamp, or a folder_date for legacy syncs) in folder_date form
+const SYNC_DATE = `REPLACE(SUBSTR(s.sync_date, 1, 19), 'T', ' ')`;
+
+// SQL condition on Sync s for every sync the board can be read as of: successful syncs and the
+// unchanged ones, which stored no rows because nothing had changed
+const OBSERVED_SYNC = `s.status IN ('success', 'unchanged') AND s.deleted_at IS NULL`;
+
+// Replay the XBLTotal board sync by sync, for every successful or unchanged sync up to to (a
+// folder_date, inclusive). visit(sync, players, changes) is called in order with sync as
+// { sync_id, sync_date, date } (date is sync_date in folder_date form), players mapping each player name to their row as of
+// that sync and changes mapping the players the sync stored rows for to their row before it (null
+// when they weren't on the board). Both Maps are reused between calls. names limits the replay to
+// some players, matched case-insensitively.
+const walkHistory = async (db, { names = null, to = null } = {}, visit) => {
+    if (names && names.length === 0) return;
+
+    const syncs = await all(db, `
+        SELECT s.sync_id, s.sync_date, ${SYNC_DATE} as date,
+               s.snapshot_type = 'full' AND EXISTS (
+                   SELECT 1 FROM XBLTotalHistory t WHERE t.sync_id = s.sync_id AND t.leaderboard_id = ?
+               ) as full
+        FROM Sync s
+        WHERE s.status IN ('success', 'unchanged') AND s.deleted_at IS NULL
+        ${to ? `AND ${SYNC_DATE} <= ?` : ''}
+        ORDER BY s.sync_date ASC
+    `, to ? [XBLTOTAL_LEADERBOARD_ID, to] : [XBLTOTAL_LEADERBOARD_ID]);
+
+    const conditions = ['t.leaderboard_id = ?', 't.name IS NOT NULL', "TRIM(t.name) != ''"];
+    const params = [XBLTOTAL_LEADERBOARD_ID];
+    if (names) {
+        conditions.push(`${PLAYER_NAME} COLLATE NOCASE IN (${names.map(() => '?').join(', ')})`);
+        params.push(...names);
+    }
+    const rows = await all(db, `
+        SELECT t.*, ${PLAYER_NAME} as player_name
+        FROM XBLTotalHistory t
+        INNER JOIN Sync s ON s.sync_id = t.sync_id AND s.status = 'success' AND s.deleted_at IS NULL
+        ${IDENTITY_JOIN}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.sync_date ASC, t.id ASC
+    `, params);
+    const rowsBySync = new Map();
+    rows.forEach(row => {
+        if (!rowsBySync.has(row.sync_id)) rowsBySync.set(row.sync_id, []);
+        rowsBySync.get(row.sync_id).push(row);
+    });
+
+    // Rows per player per stored name, so a merged player's old name leaving doesn't remove them
+    const gamertags = new Map();
+    const players = new Map();
+    const changes = new Map();
+    syncs.forEach(sync => {
+        changes.clear();
+        // A full sync holds the whole board, so everyone missing from it has left
+        if (sync.full) {
+            players.forEach((row, name) => changes.set(name, row));
+            gamertags.clear();
+        }
+        (rowsBySync.get(sync.sync_id) || []).forEach(({ player_name, ...row }) => {
+            if (!changes.has(player_name)) changes.set(player_name, players.get(player_name) || null);
+            if (!gamertags.has(player_name)) gamertags.set(player_name, new Map());
+            if (row.removed) {
+                gamertags.get(player_name).delete(row.name.trim());
+            } else {
+                gamertags.get(player_name).set(row.name.trim(), row);
+            }
+        });
+        changes.forEach((before, name) => {
+            const stored = gamertags.has(name) ? Array.from(gamertags.get(name).values()) : [];
+            if (stored.length === 0) {
+                players.delete(name);
+                return;
+            }
+            const best = stored.reduce((a, b) => (b.rank < a.rank ? b : a));
+            players.set(name, { ...best, name, gamertag: best.name.trim() });
+        });
+        visit(sync, players, changes);
+    });
+};
+
+// Get the complete XBLTotal board as of one sync, keyed by player name with merged names resolved.
+// Each row's name is the player name and gamertag is the name stored in that sync.
+const getSnapshot = async (db, syncId) => {
+    const rows = await all(db, `
+        SELECT t.*, ${PLAYER_NAME} as player_name
+        FROM ${snapshotSource('XBLTotal')} t
+        ${IDENTITY_JOIN}
+        ORDER BY t.rank ASC
+    `, snapshotParams(XBLTOTAL_LEADERBOARD_ID, syncId));
+
+    const snapshot = new Map();
+    rows.forEach(({ player_name, snapshot_row, removed, ...row }) => {
+        if (!snapshot.has(player_name)) {
+            snapshot.set(player_name, { ...row, name: player_name, gamertag: row.name.trim() });
+        }
+    });
+    return snapshot;
+};
+
+// XBLTotal columns that make a player's row count as changed
+const XBLTOTAL_COMPARE_COLUMNS = [
+    'rank', 'first_place_finishes', 'second_place_finishes', 'third_place_finishes',
+    'races_completed', 'kudos_rank', 'kudos'
+];
+
+// Helper function to treat missing values as null when comparing rows
+const sameValue = (a, b) => (a === undefined ? null : a) === (b === undefined ? null : b);
+
+// Where each kind of board is stored, how stored rows are read back as entries and when an entry is unchanged
+const BOARD_TABLES = {
+    xbltotal: {
+        table: 'XBLTotal',
+        readRow: row => row,
+        isSame: (previous, entry) => XBLTOTAL_COMPARE_COLUMNS.every(column => sameValue(previous[column], entry[column]))
+    },
+    other: {
+        table: 'LeaderboardEntry',
+        readRow: row => ({ ...row, data: JSON.parse(row.data) }),
+        isSame: (previous, entry) => sameValue(previous.rank, entry.rank) && JSON.stringify(previous.data) === JSON.stringify(entry.data)
+    }
+};
+const getBoardTable = (leaderboardId) => BOARD_TABLES[leaderboardId === XBLTOTAL_LEADERBOARD_ID ? 'xbltotal' : 'other'];
+
+// Pick the rows a sync has to store for a board: every entry that is new or differs from the board as it
+// stood, plus a removed copy of every player who left it. partial is for snapshots of one page of the board:
+// only players who were ranked within the page's ranks and are missing from it left (their places were taken),
+// the rest of the board is kept.
+const getChangedRows = (entries, previousRows, isSame, { partial = false } = {}) => {
+    const current = new Map();
+    entries.forEach(entry => {
+        const name = (entry.name || '').trim();
+        if (name) current.set(name, entry);
+    });
+
+    const rows = [];
+    const previous = new Map(previousRows.map(row => [row.name.trim(), row]));
+    current.forEach((entry, name) => {
+        if (!previous.has(name) || !isSame(previous.get(name), entry)) rows.push(entry);
+    });
+    const ranks = Array.from(current.values()).map(entry => entry.rank);
+    const firstRank = Math.min(...ranks);
+    const lastRank = Math.max(...ranks);
+    previous.forEach((row, name) => {
+        if (current.has(name)) return;
+        if (partial && !(row.rank >= firstRank && row.rank <= lastRank)) return;
+        rows.push({ ...row, removed: 1 });
+    });
+    return rows;
+};
+
+// Get the complete rows of a board as of one sync, read back as entries
+const getBoardEntries = async (db, leaderboardId, syncId) => {
+    const { table, readRow } = getBoardTable(leaderboardId);
+    return (await getSnapshotRows(db, table, leaderboardId, syncId)).map(readRow);
+};
+
+// Pick the rows a sync stores for one board, compared with the board as of the sync. Only changed rows
+// are stored unless the board had no rows yet; none are stored when nothing changed. partial is passed on
+// to getChangedRows. Returns { rows, full }.
+const getBoardRows = async (db, syncId, leaderboardId, entries, { partial = false } = {}) => {
+    const previous = await getBoardEntries(db, leaderboardId, syncId);
+    if (previous.length === 0) {
+        return { rows: entries, full: true };
+    }
+    return { rows: getChangedRows(entries, previous, getBoardTable(leaderboardId).isSame, { partial }), full: false };
+};
+
+// Pick the rows a sync has to store so that its board is back to before (entries from getBoardEntries).
+// Used when a backfill lands before a sync whose changes were recorded without it.
+const getRestoreRows = async (db, syncId, leaderboardId, before) => {
+    const after = await getBoardEntries(db, leaderboardId, syncId);
+    return getChangedRows(before, after, getBoardTable(leaderboardId).isSame);
+};
+
+// Get the first successful or unchanged sync after another one, whose board every later board builds on
+const getNextSync = async (db, syncId) => {
+    const rows = await all(db, `
+        SELECT s.sync_id, s.status, ${SYNC_DATE} as date
+        FROM Sync s
+        WHERE s.status IN ('success', 'unchanged') AND s.deleted_at IS NULL
+        AND s.sync_date > (SELECT sync_date FROM Sync WHERE sync_id = ?)
+        ORDER BY s.sync_date ASC
+        LIMIT 1
+    `, [syncId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Get the successful XBLTotal sync that came right before another one
+const getPreviousSync = async (db, syncId) => {
+    const rows = await all(db, `
+        SELECT s.sync_id, s.sync_date
+        FROM Sync s
+        WHERE s.status = 'success' AND s.deleted_at IS NULL
+        AND s.sync_date < (SELECT sync_date FROM Sync WHERE sync_id = ?)
+        AND EXISTS (SELECT 1 FROM XBLTotalHistory t WHERE t.sync_id = s.sync_id AND t.leaderboard_id = ?)
+        ORDER BY s.sync_date DESC
+        LIMIT 1
+    `, [syncId, XBLTOTAL_LEADERBOARD_ID]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Get the latest successful sync_id that has rows for a leaderboard
+const getLatestSyncId = async (db, leaderboardId = XBLTOTAL_LEADERBOARD_ID) => {
+    const rows = await all(db, `
+        SELECT s.sync_id FROM Sync s
+        WHERE s.status = 'success' AND s.deleted_at IS NULL
+        AND EXISTS (SELECT 1 FROM ${historyOf(getBoardTable(leaderboardId).table)} t WHERE t.sync_id = s.sync_id AND t.leaderboard_id = ?)
+        ORDER BY s.sync_date DESC LIMIT 1
+    `, [leaderboardId]);
+    return rows.length > 0 ? rows[0].sync_id : null;
+};
+
+// Get the latest sync the board can be read as of between two UTC folder_dates (from inclusive, to exclusive)
+const getLatestSyncBetween = async (db, from, to) => {
+    const rows = await all(db, `
+        SELECT s.sync_id, s.sync_date
+        FROM Sync s
+        WHERE ${SYNC_DATE} >= ? AND ${SYNC_DATE} < ? AND ${OBSERVED_SYNC}
+        ORDER BY s.sync_date DESC
+        LIMIT 1
+    `, [from, to]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Get the date of the latest sync the board can be read as of, in folder_date form
+const getLatestSyncDate = async (db) => {
+    const rows = await all(db, `SELECT MAX(${SYNC_DATE}) as date FROM Sync s WHERE ${OBSERVED_SYNC}`);
+    return rows[0].date;
+};
+
+// Get what cached responses depend on: the latest sync the board can be read as of and how many there
+// are, so new, backfilled, deleted and restored syncs all change the key. Returns { key, lastModified }.
+const getDataVersion = async (db) => {
+    const rows = await all(db, `
+        SELECT COUNT(*) as syncs, MAX(s.sync_date) as sync_date,
+               (SELECT s.sync_id FROM Sync s WHERE ${OBSERVED_SYNC} ORDER BY s.sync_date DESC LIMIT 1) as sync_id
+        FROM Sync s
+        WHERE ${OBSERVED_SYNC}
+    `);
+    const lastModified = rows[0].sync_date ? new Date(rows[0].sync_date) : null;
+    return {
+        key: `${rows[0].sync_id}:${rows[0].syncs}`,
+        lastModified: lastModified && !isNaN(lastModified) ? lastModified : null
+    };
+};
+
+// Get one Sync row, including failed, quarantined and deleted ones
+const getSync = async (db, syncId) => {
+    const rows = await all(db, 'SELECT * FROM Sync WHERE sync_id = ?', [syncId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// List every sync, newest first, with the rows it stored per table
+const listSyncs = (db) => {
+    return all(db, `
+        SELECT s.sync_id, s.sync_date, s.status, s.row_count, s.duration_ms, s.error, s.deleted_at,
+               (SELECT COUNT(*) FROM XBLTotalHistory t WHERE t.sync_id = s.sync_id) as xbltotal_rows,
+               (SELECT COUNT(*) FROM LeaderboardEntryHistory e WHERE e.sync_id = s.sync_id) as leaderboard_entry_rows
+        FROM Sync s
+        ORDER BY s.sync_date DESC
+    `);
+};
+
+// Get the rows one sync stored for a leaderboard (only its changes for delta syncs), best rank first
+const getStoredRows = (db, syncId, leaderboardId) => {
+    const { table } = getBoardTable(leaderboardId);
+    return all(db, `
+        SELECT ${[...BOARD_COLUMNS[table], 'sync_id'].map(column => `t.${column}`).join(', ')}
+        FROM ${historyOf(table)} t
+        WHERE t.sync_id = ? AND t.leaderboard_id = ?
+        ORDER BY t.rank ASC
+    `, [syncId, leaderboardId]);
+};
+
+module.exports = {
+    XBLTOTAL_LEADERBOARD_ID,
+    IDENTITY_JOIN,
+    PLAYER_NAME,
+    SYNC_DATE,
+    OBSERVED_SYNC,
+    historyOf,
+    snapshotSource,
+    snapshotParams,
+    historySource,
+    replayBoard,
+    getSnapshotRows,
+    getSnapshot,
+    walkHistory,
+    getPreviousSync,
+    getNextSync,
+    getLatestSyncId,
+    getLatestSyncBetween,
+    getLatestSyncDate,
+    getDataVersion,
+    getSync,
+    listSyncs,
+    getStoredRows,
+    getChangedRows,
+    getBoardEntries,
+    getBoardRows,
+    getRestoreRows
+};
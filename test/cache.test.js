@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createResponseCache } = require('../cache');
+
+describe('createResponseCache', () => {
+    let version;
+    let cache;
+    let served;
+    let server;
+    let url;
+
+    // Helper function to get a path, optionally with request headers, as { status, headers, body }. Uses http
+    // rather than fetch, which sends Cache-Control: no-cache along with conditional headers.
+    const get = (path, headers = {}) => new Promise((resolve, reject) => {
+        http.get(`${url}${path}`, { headers }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: new Headers(res.headers), body }));
+        }).on('error', reject);
+    });
+
+    beforeEach(async () => {
+        version = { key: 'sync-1:1', lastModified: new Date('2024-11-01T10:00:00Z') };
+        served = 0;
+        cache = createResponseCache(async () => version, 2);
+        const app = express();
+        app.get('/:page', cache.middleware, (req, res) => {
+            served++;
+            res.json({ page: req.params.page, served });
+        });
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    it('serves repeated requests from the cache and answers a matching ETag with 304', async () => {
+        const first = await get('/a');
+        const second = await get('/a');
+
+        assert.equal(first.headers.get('X-Cache'), 'MISS');
+        assert.equal(second.headers.get('X-Cache'), 'HIT');
+        assert.equal(second.body, first.body);
+        assert.equal(second.headers.get('ETag'), first.headers.get('ETag'));
+        assert.equal(first.headers.get('Last-Modified'), 'Fri, 01 Nov 2024 10:00:00 GMT');
+        assert.equal((await get('/a', { 'If-None-Match': first.headers.get('ETag') })).status, 304);
+        assert.equal((await get('/a', { 'If-Modified-Since': first.headers.get('Last-Modified') })).status, 304);
+    });
+
+    it('drops the least recently used response past the limit', async () => {
+        await get('/a');
+        await get('/b');
+        await get('/a');
+        await get('/c');
+
+        assert.equal((await get('/a')).headers.get('X-Cache'), 'HIT');
+        assert.equal((await get('/b')).headers.get('X-Cache'), 'MISS');
+    });
+
+    it('moves Last-Modified on when invalidated, so If-Modified-Since gets the new response', async () => {
+        const before = await get('/a');
+        cache.invalidate();
+        const after = await get('/a', { 'If-Modified-Since': before.headers.get('Last-Modified') });
+
+        assert.equal(after.status, 200);
+        assert.notEqual(after.body, before.body);
+        assert.ok(new Date(after.headers.get('Last-Modified')) > new Date(before.headers.get('Last-Modified')));
+        assert.equal((await get('/a', { 'If-Modified-Since': after.headers.get('Last-Modified') })).status, 304);
+    });
+
+    it('moves Last-Modified on when the data changes without a newer sync, e.g. when one is deleted', async () => {
+        const before = await get('/a');
+        version = { ...version, key: 'sync-1:0' };
+        const after = await get('/a', { 'If-Modified-Since': before.headers.get('Last-Modified') });
+
+        assert.equal(after.status, 200);
+        assert.equal(after.headers.get('X-Cache'), 'MISS');
+        assert.ok(new Date(after.headers.get('Last-Modified')) > version.lastModified);
+    });
+
+    it('keeps the latest sync date as Last-Modified once a newer sync arrives', async () => {
+        await get('/a');
+        cache.invalidate();
+        version = { key: 'sync-2:2', lastModified: new Date(Date.now() + 60 * 60 * 1000) };
+
+        assert.equal((await get('/a')).headers.get('Last-Modified'), version.lastModified.toUTCString());
+    });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { player, addSync, startApi } = require('./helpers');
+
+describe('GET /api2/compare', () => {
+    let api;
+
+    // Helper function to compare players as { status, body }
+    const compare = async (query) => {
+        const res = await fetch(`${api.url}/api2/compare${query}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    before(async () => {
+        api = await startApi();
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1, 100, 1000), player('Bob', 2, 100, 900)]);
+        await addSync(api.db, 's2', '2024-11-01T12:00:00.000Z', [player('Alice', 1, 100, 1100), player('Bob', 2, 100, 1050)]);
+        // Bob passes Alice later in the same hour, which replaces the 12:00 snapshot
+        await addSync(api.db, 's3', '2024-11-01T12:30:00.000Z', [player('Bob', 1, 100, 1200), player('Alice', 2, 100, 1100)]);
+        await addSync(api.db, 's4', '2024-11-01T14:00:00.000Z', [player('Bob', 1, 100, 1300), player('Alice', 2, 100, 1150)]);
+    });
+
+    after(() => api.close());
+
+    it('lines the players up on the hours they share, with leaders, lead changes and current deltas', async () => {
+        const { status, body } = await compare('?players=alice,Bob&metrics=kudos,rank&tz=Asia/Tokyo');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.players, ['Alice', 'Bob']);
+        assert.deepEqual([body.from, body.to, body.points], ['2024-11-01T19:00:00+09:00', '2024-11-01T23:00:00+09:00', 3]);
+
+        const kudos = body.metrics.kudos;
+        assert.equal(kudos.lower_is_better, false);
+        assert.deepEqual(kudos.series.map(point => [point.date, point.leader, point.gap]), [
+            ['2024-11-01T19:00:00+09:00', 'Alice', 100],
+            ['2024-11-01T21:30:00+09:00', 'Bob', 100],
+            ['2024-11-01T23:00:00+09:00', 'Bob', 150]
+        ]);
+        assert.deepEqual(kudos.leaders, { Alice: { points: 1, hours: 2.5 }, Bob: { points: 2, hours: 1.5 } });
+        assert.deepEqual(kudos.lead_changes, [{ date: '2024-11-01T21:30:00+09:00', from: 'Alice', to: 'Bob' }]);
+        assert.deepEqual(kudos.current, {
+            date: '2024-11-01T23:00:00+09:00',
+            values: { Alice: 1150, Bob: 1300 },
+            leader: 'Bob',
+            deltas: { Alice: -150, Bob: 0 }
+        });
+
+        assert.equal(body.metrics.rank.lower_is_better, true);
+        assert.deepEqual(body.metrics.rank.current.deltas, { Alice: 1, Bob: 0 });
+    });
+
+    it('compares derived ratios and leaves out ties', async () => {
+        const { body } = await compare('?players=Alice,Bob&metrics=win_rate');
+
+        assert.deepEqual(body.metrics.win_rate.series.map(point => point.leader), [null, null, null]);
+        assert.deepEqual(body.metrics.win_rate.lead_changes, []);
+    });
+
+    it('rejects fewer than two different players, unknown metrics and unknown players', async () => {
+        assert.equal((await compare('?players=Alice,ALICE')).status, 400);
+        assert.equal((await compare('?players=Alice,Bob&metrics=nope')).status, 400);
+        const { status, body } = await compare('?players=Alice,Nobody');
+        assert.equal(status, 404);
+        assert.equal(body.error, 'No data found for Nobody');
+    });
+});
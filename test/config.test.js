@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+
+// Helper function to load config.js in a new process with some settings and read some of its values
+const readConfig = async (env, names, configFile = null) => {
+    const { stdout } = await execFile(process.execPath, ['-e', `
+        const config = require(${JSON.stringify(path.join(__dirname, '..', 'config.js'))});
+        console.log(JSON.stringify(${JSON.stringify(names)}.map(name => config[name])));
+    `], { env: { PATH: process.env.PATH, ...(configFile ? { CONFIG_FILE: configFile } : {}), ...env }, timeout: 30000 });
+    return JSON.parse(stdout);
+};
+
+describe('config', () => {
+    it('reads retries as whole numbers, 0 included', async () => {
+        assert.deepEqual(await readConfig({ SYNC_RETRIES: '0', WEBHOOK_RETRIES: '5' }, ['SYNC_RETRIES', 'WEBHOOK_RETRIES']), [0, 5]);
+    });
+
+    it('falls back to the default retries for values that are not whole numbers of at least 0', async () => {
+        for (const value of ['', 'three', '-1', '2.5', 'Infinity']) {
+            assert.deepEqual(await readConfig({ SYNC_RETRIES: value, WEBHOOK_RETRIES: value }, ['SYNC_RETRIES', 'WEBHOOK_RETRIES']),
+                [3, 3], JSON.stringify(value));
+        }
+    });
+
+    it('prefers the environment to the config file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-'));
+        try {
+            const configFile = path.join(dir, 'config.json');
+            fs.writeFileSync(configFile, JSON.stringify({ SYNC_RETRIES: 7, PORT: 8080 }));
+
+            assert.deepEqual(await readConfig({ PORT: '9090' }, ['SYNC_RETRIES', 'PORT'], configFile), [7, 9090]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
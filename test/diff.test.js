@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { player, addSync, startApi } = require('./helpers');
+
+describe('GET /api2/xbltotal/diff', () => {
+    let api;
+
+    // Helper function to get a diff as { status, body }
+    const diff = async (query = '') => {
+        const res = await fetch(`${api.url}/api2/xbltotal/diff${query}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    before(async () => {
+        api = await startApi();
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        // Bob wins two races and passes Alice, Cara leaves and Dan joins
+        await addSync(api.db, 's2', '2024-11-02T10:00:00.000Z',
+            [{ ...player('Bob', 1, 110, 1500), first_place_finishes: 3 }, player('Alice', 2, 105), player('Dan', 3)]);
+        await addSync(api.db, 's3', '2024-11-03T10:00:00.000Z', [player('Bob', 1, 120, 1500), player('Alice', 2, 105)]);
+    });
+
+    after(() => api.close());
+
+    it('compares two syncs: rank movement, stat deltas, entrants and dropouts', async () => {
+        const { status, body } = await diff('?from=s1&to=s2');
+
+        assert.equal(status, 200);
+        assert.deepEqual([body.from.sync_id, body.to.sync_id], ['s1', 's2']);
+        assert.deepEqual(body.changes.find(change => change.name === 'Bob'), {
+            name: 'Bob',
+            rank_from: 2,
+            rank_to: 1,
+            rank_change: 1,
+            deltas: { first_place_finishes: 2, podiums: 2, races_completed: 10, kudos: 500 }
+        });
+        assert.equal(body.changes.find(change => change.name === 'Alice').rank_change, -1);
+        assert.deepEqual(body.entered, [{ name: 'Dan', rank: 3, kudos: 1000 }]);
+        assert.deepEqual(body.left, [{ name: 'Cara', rank: 3, kudos: 1000 }]);
+    });
+
+    it('compares the latest sync with the one before it by default', async () => {
+        const { body } = await diff();
+
+        assert.deepEqual([body.from.sync_id, body.to.sync_id], ['s2', 's3']);
+        assert.deepEqual(body.left.map(row => row.name), ['Dan']);
+    });
+
+    it('finds syncs by the closest date', async () => {
+        const { body } = await diff('?from=2024-11-01&to=2024-11-03%2009');
+
+        assert.deepEqual([body.from.sync_id, body.to.sync_id], ['s1', 's3']);
+    });
+
+    it('answers 404 for a sync that does not exist', async () => {
+        assert.equal((await diff('?from=nope&to=s2')).status, 404);
+        assert.equal((await diff('?to=nope')).status, 404);
+        assert.equal((await diff('?to=s1')).status, 404);
+    });
+});
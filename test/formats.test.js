@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { player, addSync, startApi } = require('./helpers');
+
+describe('CSV and NDJSON output', () => {
+    let api;
+
+    // Helper function to get a path of the API as { status, type, text }
+    const get = async (url) => {
+        const res = await fetch(`${api.url}${url}`);
+        return { status: res.status, type: res.headers.get('Content-Type'), text: await res.text() };
+    };
+
+    before(async () => {
+        api = await startApi();
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob, Jr', 2)]);
+        // 1:30am on the 3rd in New York, the first time round before the clocks go back
+        await addSync(api.db, 's2', '2024-11-03T05:30:00.000Z', [player('Bob, Jr', 1, 150), player('Alice', 2)]);
+    });
+
+    after(() => api.close());
+
+    it('writes the board as CSV headed by the XBLTotal field names', async () => {
+        const { status, type, text } = await get('/api2/xbltotal?format=csv&fields=rank,name,races_completed');
+        assert.equal(status, 200);
+        assert.match(type, /^text\/csv/);
+        assert.equal(text, 'rank,name,races_completed\n1,"Bob, Jr",150\n2,Alice,100\n');
+
+        const [header] = (await get('/api2/xbltotal?format=csv&name=nobody')).text.split('\n');
+        assert.equal(header, 'id,leaderboard_id,rank,name,first_place_finishes,second_place_finishes,third_place_finishes,' +
+            'races_completed,kudos_rank,kudos,folder_date,data_date,sync_id');
+    });
+
+    it('writes one JSON row per line as NDJSON, dated in the request time zone', async () => {
+        const { type, text } = await get('/api2/xbltotal/2024-11-01?format=ndjson&tz=Asia/Tokyo');
+        const rows = text.trim().split('\n').map(line => JSON.parse(line));
+
+        assert.match(type, /^application\/x-ndjson/);
+        assert.deepEqual(rows.map(row => [row.sync_id, row.rank, row.name, row.folder_date.substring(19)]),
+            [['s1', 1, 'Alice', '+09:00'], ['s1', 2, 'Bob, Jr', '+09:00']]);
+    });
+
+    it('streams the whole history from /api2/export', async () => {
+        const { text } = await get('/api2/export?format=ndjson');
+        const rows = text.trim().split('\n').map(line => JSON.parse(line));
+
+        assert.deepEqual(rows.map(row => [row.sync_id, row.rank, row.name]),
+            [['s1', 1, 'Alice'], ['s1', 2, 'Bob, Jr'], ['s2', 1, 'Bob, Jr'], ['s2', 2, 'Alice']]);
+    });
+
+    it('rejects unknown formats', async () => {
+        assert.equal((await get('/api2/xbltotal?format=xml')).status, 400);
+        assert.equal((await get('/api2/export?format=json')).status, 400);
+    });
+
+    it('answers 404 rather than failing when the closest hour holds no sync in the request time zone', async () => {
+        // 1am repeats when the clocks go back, and is read as the second 1am, which has no sync
+        const { status } = await get(`/api2/xbltotal/${encodeURIComponent('2024-11-03 01')}?tz=America/New_York`);
+
+        assert.equal(status, 404);
+    });
+
+    it('diffs the latest sync with the one before it by default, dated in the request time zone', async () => {
+        const res = await fetch(`${api.url}/api2/xbltotal/diff?tz=America/New_York`);
+        const diff = await res.json();
+
+        assert.equal(diff.to.sync_id, 's2');
+        assert.equal(diff.to.sync_date, '2024-11-03T01:30:00-04:00');
+        assert.equal(diff.from.sync_id, 's1');
+    });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../migrate');
+const { run, all, startSync, finishSync, insertBoardRows, transaction } = require('../repository');
+const { getBoardRows, getSnapshotRows } = require('../snapshots');
+const { XBLTOTAL_LEADERBOARD_ID, DB_PATH } = require('../config');
+
+// Helper function to run work without its console.log output (the migrations log each step, which would
+// only clutter the test output)
+const quietly = async (work) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await work();
+    } finally {
+        console.log = log;
+    }
+};
+
+// Helper function to create a migrated database in a temporary directory. Returns { db, file, dir, close },
+// where close also removes the directory.
+const createDatabase = async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-'));
+    const file = path.join(dir, 'test.db');
+    const db = new sqlite3.Database(file);
+    await quietly(() => migrate(db));
+    const close = () => new Promise((resolve, reject) => {
+        db.close(err => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            if (err) reject(err); else resolve();
+        });
+    });
+    return { db, file, dir, close };
+};
+
+// Helper function to build an XBLTotal entry
+const player = (name, rank, races = 100, kudos = 1000) => ({
+    rank,
+    name,
+    first_place_finishes: 1,
+    second_place_finishes: 2,
+    third_place_finishes: 3,
+    races_completed: races,
+    kudos_rank: rank,
+    kudos
+});
+
+// Helper function to store a scraped board the way fetch2.js does: only the rows that changed since
+// the board as of the sync, in one transaction. Returns the rows that were stored.
+const addSync = async (db, syncId, syncDate, entries, leaderboardId = XBLTOTAL_LEADERBOARD_ID) => {
+    await startSync(db, syncId, syncDate);
+    return transaction(db, async () => {
+        const { rows, full } = await getBoardRows(db, syncId, leaderboardId, entries);
+        await insertBoardRows(db, syncId, leaderboardId, rows);
+        await finishSync(db, syncId, {
+            status: rows.length === 0 ? 'unchanged' : 'success',
+            row_count: entries.length,
+            snapshot_type: full ? 'full' : 'delta'
+        });
+        return rows;
+    });
+};
+
+// Helper function to read the XBL total board as of a sync as [name, rank, races_completed] triples
+const readBoard = async (db, syncId) => {
+    const rows = await getSnapshotRows(db, 'XBLTotal', XBLTOTAL_LEADERBOARD_ID, syncId);
+    return rows.map(row => [row.name, row.rank, row.races_completed]);
+};
+
+// Helper function to list the successful and unchanged syncs, oldest first
+const listSyncIds = async (db) => {
+    const rows = await all(db, `SELECT sync_id FROM Sync WHERE status IN ('success', 'unchanged') ORDER BY sync_date ASC`);
+    return rows.map(row => row.sync_id);
+};
+
+// Helper function to start the API on a free port, on a database migrated first. config.js reads the
+// environment once, so test files set DB_PATH (to a file in a directory of its own, removed by close)
+// and ADMIN_TOKEN before requiring anything. Returns { url, db, close }.
+const startApi = async () => {
+    const { app, db } = require('../api2');
+    await quietly(() => migrate(db));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => db.close(resolve));
+        fs.rmSync(path.dirname(DB_PATH), { recursive: true, force: true });
+    };
+    return { url: `http://127.0.0.1:${server.address().port}`, db, close };
+};
+
+module.exports = {
+    run,
+    all,
+    quietly,
+    createDatabase,
+    player,
+    addSync,
+    readBoard,
+    listSyncIds,
+    startApi
+};
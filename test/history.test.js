@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { deleteSync, restoreSync } = require('../history');
+const { all, createDatabase, player, addSync, readBoard } = require('./helpers');
+
+// Helper function to read the board as of each of some syncs
+const readBoards = async (db, syncIds) => {
+    const boards = {};
+    for (const syncId of syncIds) boards[syncId] = await readBoard(db, syncId);
+    return boards;
+};
+
+describe('deleting and restoring syncs', () => {
+    let database;
+    let db;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        // Bob leaves, Cara moves up and Alice's races go up
+        await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1, 150), player('Cara', 2)]);
+        await addSync(db, 's3', '2024-11-01T12:00:00.000Z', [player('Alice', 1, 150), player('Cara', 2)]);
+        await addSync(db, 's4', '2024-11-01T13:00:00.000Z', [player('Alice', 1, 160), player('Cara', 2, 110)]);
+    });
+
+    afterEach(() => database.close());
+
+    it('leaves the boards of later syncs as they were when a delta sync is deleted', async () => {
+        const before = await readBoards(db, ['s1', 's3', 's4']);
+        const restored = await deleteSync(db, 's2');
+
+        // Alice's races, Bob's removal and Cara's new rank
+        assert.equal(restored, 3);
+        assert.deepEqual(await readBoards(db, ['s1', 's3', 's4']), before);
+        const [sync] = await all(db, `SELECT deleted_at FROM Sync WHERE sync_id = 's2'`);
+        assert.ok(sync.deleted_at);
+        // s3 had nothing to store, and now holds the changes of s2
+        const [next] = await all(db, `SELECT status FROM Sync WHERE sync_id = 's3'`);
+        assert.equal(next.status, 'success');
+    });
+
+    it('leaves the boards of later syncs as they were when the first full sync is deleted', async () => {
+        const before = await readBoards(db, ['s2', 's3', 's4']);
+        await deleteSync(db, 's1');
+
+        assert.deepEqual(await readBoards(db, ['s2', 's3', 's4']), before);
+    });
+
+    it('stores nothing when the latest sync is deleted', async () => {
+        assert.equal(await deleteSync(db, 's4'), 0);
+        assert.deepEqual(await readBoard(db, 's3'), [['Alice', 1, 150], ['Cara', 2, 100]]);
+    });
+
+    it('brings a deleted sync back without changing later boards, also ones stored while it was deleted', async () => {
+        await deleteSync(db, 's4');
+        await addSync(db, 's5', '2024-11-01T14:00:00.000Z', [player('Alice', 1, 170), player('Dan', 2)]);
+        await deleteSync(db, 's2');
+        const before = await readBoards(db, ['s1', 's3', 's5']);
+
+        await restoreSync(db, 's2');
+        await restoreSync(db, 's4');
+
+        assert.deepEqual(await readBoards(db, ['s1', 's3', 's5']), before);
+        assert.deepEqual(await readBoard(db, 's2'), [['Alice', 1, 150], ['Cara', 2, 100]]);
+        assert.deepEqual(await readBoard(db, 's4'), [['Alice', 1, 160], ['Cara', 2, 110]]);
+    });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own, with an admin token
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+process.env.ADMIN_TOKEN = 'test-token';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeNames, getAliases } = require('../identities');
+const { createDatabase, player, addSync, startApi } = require('./helpers');
+
+describe('mergeNames', () => {
+    let database;
+    let db;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('OldTag', 1), player('Bob', 2)]);
+        await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('NewTag', 1), player('Bob', 2)]);
+    });
+
+    afterEach(() => database.close());
+
+    it('stores names as they are spelled on the board, whatever case they were given in', async () => {
+        assert.equal(await mergeNames(db, ' oldtag ', 'NEWTAG'), 'NewTag');
+
+        assert.deepEqual(await getAliases(db, 'newtag'), ['NewTag', 'OldTag']);
+        assert.deepEqual(await getAliases(db, 'OLDTAG'), ['NewTag', 'OldTag']);
+    });
+
+    it('returns a name that was never merged as it is spelled on the board', async () => {
+        assert.deepEqual(await getAliases(db, 'bob'), ['Bob']);
+        assert.deepEqual(await getAliases(db, 'Nobody'), ['Nobody']);
+    });
+});
+
+describe('POST /api2/admin/players/merge', () => {
+    let api;
+
+    // Helper function to post to the merge endpoint as the admin
+    const merge = (body) => fetch(`${api.url}/api2/admin/players/merge`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer test-token', ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    before(async () => {
+        api = await startApi();
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('OldTag', 1)]);
+        await addSync(api.db, 's2', '2024-11-01T11:00:00.000Z', [player('NewTag', 1)]);
+    });
+
+    after(() => api.close());
+
+    it('rejects a request without a body', async () => {
+        const res = await merge();
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /from and to/);
+    });
+
+    it('rejects the same name twice', async () => {
+        assert.equal((await merge({ from: 'newtag', to: 'NewTag' })).status, 400);
+    });
+
+    it('merges two names and returns them as stored', async () => {
+        const res = await merge({ from: 'oldtag', to: 'newtag' });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { name: 'NewTag', aliases: ['NewTag', 'OldTag'] });
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { all, createDatabase, player, addSync, readBoard } = require('./helpers');
+
+// Helper function to run node fetch2.js --import against a database
+const importSnapshots = (file, dir) => execFile(process.execPath, [path.join(__dirname, '..', 'fetch2.js'), '--import', dir], {
+    env: { ...process.env, DB_PATH: file },
+    timeout: 60000
+});
+
+describe('snapshot imports', () => {
+    let database;
+    let db;
+    let snapshotDir;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+        snapshotDir = path.join(database.dir, 'snapshots');
+        fs.mkdirSync(snapshotDir);
+    });
+
+    afterEach(() => database.close());
+
+    it('keeps every later board as it was when a backdated snapshot lands between syncs', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        await addSync(db, 's2', '2024-11-03T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        await addSync(db, 's3', '2024-11-04T10:00:00.000Z', [player('Alice', 1), player('Cara', 2, 120)]);
+        const before = { s1: await readBoard(db, 's1'), s2: await readBoard(db, 's2'), s3: await readBoard(db, 's3') };
+
+        // A saved first page of the board: Alice changed and Eve took Bob's place. Cara is ranked below the page.
+        fs.writeFileSync(path.join(snapshotDir, '2024-11-02T10-00-00.json'),
+            JSON.stringify([player('Alice', 1, 110), player('Eve', 2)]));
+        await importSnapshots(database.file, snapshotDir);
+
+        const [imported] = await all(db, `SELECT sync_id, status, snapshot_type FROM Sync WHERE sync_id NOT IN ('s1', 's2', 's3')`);
+        assert.equal(imported.status, 'success');
+        assert.equal(imported.snapshot_type, 'delta');
+        assert.deepEqual(await readBoard(db, imported.sync_id),
+            [['Alice', 1, 110], ['Eve', 2, 100], ['Cara', 3, 100]]);
+
+        assert.deepEqual(await readBoard(db, 's1'), before.s1);
+        assert.deepEqual(await readBoard(db, 's2'), before.s2);
+        assert.deepEqual(await readBoard(db, 's3'), before.s3);
+
+        // The unchanged sync right after the import now stores the rows that undo it
+        const [next] = await all(db, `SELECT status FROM Sync WHERE sync_id = 's2'`);
+        assert.equal(next.status, 'success');
+        const restored = await all(db, `SELECT name, removed, races_completed FROM XBLTotal WHERE sync_id = 's2' ORDER BY name`);
+        assert.deepEqual(restored.map(row => [row.name, row.removed, row.races_completed]), [['Alice', 0, 100], ['Bob', 0, 100], ['Eve', 1, 100]]);
+    });
+
+    it('replaces only the ranks of a page that does not start at the top', async () => {
+        const names = ['Alice', 'Bob', 'Cara', 'Dan', 'Eli', 'Fay'];
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', names.map((name, index) => player(name, index + 1)));
+
+        // Page 2 of the board: Gus moved in at 4, pushing Dan and Eli down and Fay off the page
+        fs.writeFileSync(path.join(snapshotDir, '2024-11-02T10-00-00.json'),
+            JSON.stringify([player('Gus', 4), player('Dan', 5), player('Eli', 6)]));
+        await importSnapshots(database.file, snapshotDir);
+
+        const [imported] = await all(db, `SELECT sync_id, status FROM Sync WHERE sync_id != 's1'`);
+        assert.equal(imported.status, 'success');
+        assert.deepEqual((await readBoard(db, imported.sync_id)).map(([name, rank]) => [name, rank]),
+            [['Alice', 1], ['Bob', 2], ['Cara', 3], ['Gus', 4], ['Dan', 5], ['Eli', 6]]);
+    });
+
+    it('stores a snapshot taken before every sync as the first full board', async () => {
+        await addSync(db, 's1', '2024-11-03T10:00:00.000Z', [player('Alice', 1, 120), player('Bob', 2)]);
+
+        fs.writeFileSync(path.join(snapshotDir, '2024-11-01T10-00-00.json'),
+            JSON.stringify([player('Alice', 1), player('Bob', 2)]));
+        await importSnapshots(database.file, snapshotDir);
+
+        const [imported] = await all(db, `SELECT sync_id, snapshot_type FROM Sync WHERE sync_id != 's1'`);
+        assert.equal(imported.snapshot_type, 'full');
+        assert.deepEqual(await readBoard(db, imported.sync_id), [['Alice', 1, 100], ['Bob', 2, 100]]);
+        assert.deepEqual(await readBoard(db, 's1'), [['Alice', 1, 120], ['Bob', 2, 100]]);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../migrate');
+const { getSnapshot } = require('../snapshots');
+const { run, all, quietly } = require('./helpers');
+
+describe('migrate', () => {
+    let dir;
+    let db;
+
+    afterEach(async () => {
+        await new Promise(resolve => db.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('dates the syncs of legacy rows with ISO timestamps, ordered with later syncs', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-'));
+        db = new sqlite3.Database(path.join(dir, 'legacy.db'));
+        await run(db, `CREATE TABLE XBLTotal1 (field2 INTEGER, field3 INTEGER, field4 TEXT, field8 INTEGER, field11 TEXT, field12 TEXT)`);
+        for (const [rank, name, races, folderDate] of [
+            [1, 'Alice', 100, '2024-11-01 10:00:00'], [2, 'Bob', 90, '2024-11-01 10:00:00'], [1, 'Alice', 120, '2024-11-02 10:00:00']
+        ]) {
+            await run(db, 'INSERT INTO XBLTotal1 VALUES (1, ?, ?, ?, ?, ?)', [rank, name, races, folderDate, folderDate]);
+        }
+
+        await quietly(() => migrate(db));
+
+        const syncs = await all(db, 'SELECT sync_id, sync_date FROM Sync ORDER BY sync_date ASC');
+        assert.deepEqual(syncs.map(sync => sync.sync_date), ['2024-11-01T10:00:00.000Z', '2024-11-02T10:00:00.000Z']);
+        // A sync taken later the same second sorts after the legacy one
+        await run(db, `INSERT INTO Sync (sync_id, sync_date, status) VALUES ('new', '2024-11-02T10:00:00.500Z', 'success')`);
+        const ordered = await all(db, 'SELECT sync_id FROM Sync ORDER BY sync_date DESC LIMIT 1');
+        assert.equal(ordered[0].sync_id, 'new');
+        assert.equal((await getSnapshot(db, syncs[1].sync_id)).get('Alice').races_completed, 120);
+    });
+});
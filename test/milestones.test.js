@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { findMilestones } = require('../milestones');
+const { player, addSync, startApi } = require('./helpers');
+
+// Helper function to store three syncs: Bob passes Alice for first, Alice passes 1,000 races, Cara moves into
+// the top 10, and Alice passes 10,000 kudos in the last sync
+const addSyncs = async (db) => {
+    await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1, 990, 9500), player('Bob', 2, 500), player('Cara', 11)]);
+    await addSync(db, 's2', '2024-11-02T10:00:00.000Z', [player('Bob', 1, 510), player('Alice', 2, 1005, 9500), player('Cara', 10)]);
+    await addSync(db, 's3', '2024-11-03T10:00:00.000Z', [player('Bob', 1, 510), player('Alice', 2, 1005, 10100), player('Cara', 10)]);
+};
+
+// Helper function to list events as [sync_id, type, name] triples
+const summarize = (events) => events.map(event => [event.sync_id, event.type, event.name]);
+
+describe('findMilestones', () => {
+    let api;
+
+    before(async () => {
+        api = await startApi();
+        await addSyncs(api.db);
+    });
+
+    after(() => api.close());
+
+    it('finds round numbers, best ranks, top 10 entries and overtakes, newest sync first', async () => {
+        const events = await findMilestones(api.db);
+
+        assert.deepEqual(summarize(events), [
+            ['s3', 'milestone', 'Alice'],
+            ['s2', 'milestone', 'Alice'],
+            ['s2', 'entered_top', 'Cara'],
+            ['s2', 'best_rank', 'Bob'],
+            ['s2', 'best_rank', 'Cara'],
+            ['s2', 'overtake', 'Bob']
+        ]);
+        assert.deepEqual(events.map(event => event.description), [
+            'Alice reached 10,000 kudos',
+            'Alice reached 1,000 races completed',
+            'Cara entered the top 10 at #10',
+            'Bob reached a new best rank of #1 (previous best #2)',
+            'Cara reached a new best rank of #10 (previous best #11)',
+            'Bob overtook Alice for #1'
+        ]);
+    });
+
+    it('only reports syncs in the range, still counting best ranks from the whole history', async () => {
+        assert.deepEqual(summarize(await findMilestones(api.db, { from: '2024-11-03' })), [['s3', 'milestone', 'Alice']]);
+        assert.deepEqual((await findMilestones(api.db, { to: '2024-11-02 23:59:59' })).map(event => event.type),
+            ['milestone', 'entered_top', 'best_rank', 'best_rank', 'overtake']);
+    });
+
+    it('filters by player, type and limit on /api2/milestones', async () => {
+        const get = async (query) => (await fetch(`${api.url}/api2/milestones${query}`)).json();
+
+        // The other player of an overtake counts too
+        assert.deepEqual(summarize(await get('?player=alice&type=overtake,milestone')),
+            [['s3', 'milestone', 'Alice'], ['s2', 'milestone', 'Alice'], ['s2', 'overtake', 'Bob']]);
+        assert.deepEqual(summarize(await get('?type=best_rank&limit=1')), [['s2', 'best_rank', 'Bob']]);
+        assert.equal((await fetch(`${api.url}/api2/milestones?type=nope`)).status, 400);
+    });
+
+    it('serves the events as Atom and RSS feeds', async () => {
+        const atom = await fetch(`${api.url}/api2/milestones/feed?type=milestone`);
+        const rss = await fetch(`${api.url}/api2/milestones/feed?format=rss&type=milestone`);
+        const atomText = await atom.text();
+
+        assert.match(atom.headers.get('Content-Type'), /^application\/atom\+xml/);
+        assert.equal((atomText.match(/<entry>/g) || []).length, 2);
+        assert.match(atomText, /<title>Alice reached 10,000 kudos<\/title>/);
+        assert.match(rss.headers.get('Content-Type'), /^application\/rss\+xml/);
+        assert.equal(((await rss.text()).match(/<item>/g) || []).length, 2);
+    });
+});
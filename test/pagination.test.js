@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { player, addSync, startApi } = require('./helpers');
+
+describe('GET /api2/xbltotal paging', () => {
+    let api;
+
+    // Helper function to get a path of the API as { status, headers, body }
+    const get = async (url) => {
+        const res = await fetch(`${api.url}${url}`);
+        return { status: res.status, headers: res.headers, body: await res.json() };
+    };
+
+    // Helper function to get the url of a rel from a Link header
+    const link = (headers, rel) => {
+        const match = new RegExp(`<([^>]+)>; rel="${rel}"`).exec(headers.get('Link') || '');
+        return match ? match[1] : null;
+    };
+
+    before(async () => {
+        api = await startApi();
+        // s2 is stored before s1 but dated after it, so stored ids don't follow the syncs
+        await addSync(api.db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1, 120), player('Bob', 2), player('Cara', 3)]);
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        await addSync(api.db, 's3', '2024-11-01T12:00:00.000Z', [player('Bob', 1, 130), player('Alice', 2, 120), player('Cara', 3)]);
+    });
+
+    after(() => api.close());
+
+    it('pages the latest board with a total and links to the other pages', async () => {
+        const { headers, body } = await get('/api2/xbltotal?limit=2&offset=1');
+
+        assert.deepEqual(body.map(row => row.name), ['Alice', 'Cara']);
+        assert.equal(headers.get('X-Total-Count'), '3');
+        assert.equal(link(headers, 'prev'), '/api2/xbltotal?limit=2&offset=0');
+        assert.equal(link(headers, 'next'), null);
+    });
+
+    it('lists every board with all=true, oldest sync first and each by rank, across pages', async () => {
+        const first = await get('/api2/xbltotal?all=true&limit=4');
+        assert.equal(first.headers.get('X-Total-Count'), '9');
+        assert.deepEqual(first.body.map(row => [row.sync_id, row.rank, row.name]),
+            [['s1', 1, 'Alice'], ['s1', 2, 'Bob'], ['s1', 3, 'Cara'], ['s2', 1, 'Alice']]);
+
+        const rest = [];
+        for (let next = link(first.headers, 'next'); next; ) {
+            const page = await get(next);
+            rest.push(...page.body);
+            next = link(page.headers, 'next');
+        }
+        assert.deepEqual(rest.map(row => [row.sync_id, row.rank, row.name]), [
+            ['s2', 2, 'Bob'], ['s2', 3, 'Cara'], ['s3', 1, 'Bob'], ['s3', 2, 'Alice'], ['s3', 3, 'Cara']
+        ]);
+    });
+
+    it('sorts, filters and picks fields within each board of all=true', async () => {
+        const { body } = await get('/api2/xbltotal?all=true&sort=races_completed:desc&max_rank=2&fields=sync_id,name');
+
+        assert.deepEqual(body, [
+            { sync_id: 's1', name: 'Alice' }, { sync_id: 's1', name: 'Bob' },
+            { sync_id: 's2', name: 'Alice' }, { sync_id: 's2', name: 'Bob' },
+            { sync_id: 's3', name: 'Bob' }, { sync_id: 's3', name: 'Alice' }
+        ]);
+    });
+
+    it('rejects limits out of range and unknown columns', async () => {
+        for (const query of ['limit=0', 'limit=1001', 'offset=-1', 'sort=nope', 'fields=nope', 'min_name=a']) {
+            assert.equal((await get(`/api2/xbltotal?${query}`)).status, 400, query);
+        }
+    });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { player, addSync, startApi } = require('./helpers');
+
+describe('GET /api2/projections', () => {
+    let api;
+
+    // Helper function to get projections as { status, body }
+    const project = async (query) => {
+        const res = await fetch(`${api.url}/api2/projections${query}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    before(async () => {
+        api = await startApi();
+        // One sync a day from November 1st to 10th: Alice earns 100 kudos a day, Bob 300 and Cara none
+        for (let day = 0; day < 10; day++) {
+            await addSync(api.db, `s${day + 1}`, `2024-11-${String(day + 1).padStart(2, '0')}T12:00:00.000Z`, [
+                player('Alice', 1, 100, 10000 + 100 * day),
+                player('Bob', 2, 100, 8000 + 300 * day),
+                player('Cara', 3, 100, 5000)
+            ]);
+        }
+    });
+
+    after(() => api.close());
+
+    it('projects each player forward with target dates, overtakes and confidence', async () => {
+        const { status, body } = await project('?players=Alice,Bob,Cara&window=9&horizon=30&target=12000');
+
+        assert.equal(status, 200);
+        assert.deepEqual([body.metric, body.as_of, body.window_days, body.horizon_days, body.target], ['kudos', '2024-11-10', 9, 30, 12000]);
+        assert.deepEqual(body.players.map(row => [row.name, row.current, row.per_day, row.projected, row.target_date, row.confidence.level]), [
+            ['Alice', 10900, 100, 13900, '2024-11-21', 'high'],
+            ['Bob', 10700, 300, 19700, '2024-11-15', 'high'],
+            ['Cara', 5000, 0, 5000, null, 'low']
+        ]);
+        assert.deepEqual(body.players[0].confidence, { level: 'high', score: 1, r_squared: 1, active_days: 9 });
+        assert.deepEqual(body.overtakes, [{
+            name: 'Bob',
+            passes: 'Alice',
+            in_days: 1,
+            date: '2024-11-11',
+            confidence: 'high',
+            description: 'Bob passes Alice in about 1 day'
+        }]);
+    });
+
+    it('lowers the confidence when the player was active on fewer days of the window', async () => {
+        const { body } = await project('?players=Alice,Bob&window=15');
+
+        assert.deepEqual(body.players[0].confidence, { level: 'medium', score: 0.6, r_squared: 1, active_days: 9 });
+    });
+
+    it('projects the top players by kudos by default', async () => {
+        const { body } = await project('?top=2');
+
+        assert.deepEqual(body.players.map(row => row.name).sort(), ['Alice', 'Bob']);
+    });
+
+    it('rejects unknown metrics and out of range parameters', async () => {
+        for (const query of ['metric=rank', 'top=0', 'window=1', 'horizon=0', 'target=abc', 'target=']) {
+            assert.equal((await project(`?${query}`)).status, 400, query);
+        }
+    });
+});
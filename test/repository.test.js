@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { transaction } = require('../repository');
+const { run, all, createDatabase } = require('./helpers');
+
+// Helper function to write an audit log entry
+const log = (db, action) => run(db, `INSERT INTO AuditLog (action, created_date) VALUES (?, datetime('now'))`, [action]);
+
+// Helper function to list the actions in the audit log
+const actions = async (db) => (await all(db, 'SELECT action FROM AuditLog ORDER BY id')).map(row => row.action);
+
+// Helper function to sleep
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('transaction', () => {
+    let database;
+    let db;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+    });
+
+    afterEach(() => database.close());
+
+    it('keeps writes from outside a transaction out of its rollback', async () => {
+        let started;
+        const inserted = new Promise(resolve => {
+            started = resolve;
+        });
+        const failed = transaction(db, async () => {
+            await log(db, 'inside');
+            started();
+            await sleep(20);
+            throw new Error('rolled back');
+        });
+
+        await inserted;
+        await log(db, 'outside');
+        await assert.rejects(failed, /rolled back/);
+        assert.deepEqual(await actions(db), ['outside']);
+    });
+
+    it('runs transactions on one connection one after another', async () => {
+        const first = transaction(db, async () => {
+            await log(db, 'first');
+            await sleep(20);
+            await log(db, 'first again');
+        });
+        const second = transaction(db, () => log(db, 'second'));
+
+        await Promise.all([first, second]);
+        assert.deepEqual(await actions(db), ['first', 'first again', 'second']);
+    });
+
+    it('keeps reads from outside a transaction from seeing its uncommitted rows', async () => {
+        let started;
+        const inserted = new Promise(resolve => {
+            started = resolve;
+        });
+        const failed = transaction(db, async () => {
+            await log(db, 'pending');
+            started();
+            await sleep(20);
+            throw new Error('rolled back');
+        });
+
+        await inserted;
+        const seen = await actions(db);
+        await assert.rejects(failed, /rolled back/);
+        assert.deepEqual(seen, []);
+    });
+});
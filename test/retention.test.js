@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyRetention } = require('../retention');
+const { startSync, finishSync, insertBoardRows } = require('../repository');
+const { XBLTOTAL_LEADERBOARD_ID } = require('../config');
+const { run, all, createDatabase, player, addSync, readBoard, listSyncIds } = require('./helpers');
+
+const NOW = new Date('2024-12-31T00:00:00Z');
+const POLICY = { rawDays: 2, dailyDays: 10, now: NOW, timeZone: 'UTC' };
+
+// Helper function to get the sync_id of the sync at an hour of a December 2024 day
+const syncAt = (day, hour) => `2024-12-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}`;
+
+// Helper function to store four syncs a day from December 1st to 30th 2024. Every sync changes one player,
+// Dan leaves the board every fifth sync and rejoins on the next one, and a full sync on the 5th drops Cara
+// without a removal row.
+const addSyncs = async (db) => {
+    const races = { Alice: 100, Bob: 100, Cara: 100, Dan: 100 };
+    let count = 0;
+    for (let day = 1; day <= 30; day++) {
+        for (const hour of [0, 6, 12, 18]) {
+            const syncId = syncAt(day, hour);
+            const syncDate = `${syncId}:00:00.000Z`;
+            const names = Object.keys(races);
+            races[names[count % names.length]]++;
+            let entries = names.map((name, index) => player(name, index + 1, races[name]));
+            if (count % 5 === 4) entries = entries.filter(entry => entry.name !== 'Dan');
+
+            if (syncId === syncAt(5, 12)) {
+                entries = entries.filter(entry => entry.name !== 'Cara');
+                await startSync(db, syncId, syncDate);
+                await insertBoardRows(db, syncId, XBLTOTAL_LEADERBOARD_ID, entries);
+                await finishSync(db, syncId, { status: 'success', row_count: entries.length, snapshot_type: 'full' });
+            } else {
+                await addSync(db, syncId, syncDate, entries);
+            }
+            count++;
+        }
+    }
+};
+
+// Helper function to read the board as of every successful or unchanged sync
+const readBoards = async (db) => {
+    const boards = new Map();
+    for (const syncId of await listSyncIds(db)) {
+        boards.set(syncId, await readBoard(db, syncId));
+    }
+    return boards;
+};
+
+describe('applyRetention', () => {
+    let database;
+    let db;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+        await addSyncs(db);
+    });
+
+    afterEach(() => database.close());
+
+    it('keeps the last sync of each week past the daily limit and of each day past the raw limit', async () => {
+        await applyRetention(db, POLICY);
+
+        const expected = [
+            // Weeks start on Monday: November 25th - December 1st, December 2nd - 8th and 9th - 15th
+            [syncAt(1, 18), 'week'], [syncAt(8, 18), 'week'], [syncAt(15, 18), 'week']
+        ];
+        // The week of the 16th ends after the daily limit (the 21st), so its days are kept one sync each
+        for (let day = 16; day <= 28; day++) expected.push([syncAt(day, 18), 'day']);
+        for (const day of [29, 30]) {
+            for (const hour of [0, 6, 12, 18]) expected.push([syncAt(day, hour), null]);
+        }
+
+        const syncs = await all(db, 'SELECT sync_id, rollup_period FROM Sync ORDER BY sync_date ASC');
+        assert.deepEqual(syncs.map(sync => [sync.sync_id, sync.rollup_period]), expected);
+    });
+
+    it('cuts days and weeks in the given time zone', async () => {
+        const before = await readBoards(db);
+        await applyRetention(db, { ...POLICY, timeZone: 'America/New_York' });
+
+        // Midnight UTC is 7pm the day before in New York, so each day's last sync is the next day's first one
+        const expected = [[syncAt(2, 0), 'week'], [syncAt(9, 0), 'week'], [syncAt(16, 0), 'week']];
+        for (let day = 17; day <= 28; day++) expected.push([syncAt(day, 0), 'day']);
+        // The 28th in New York ends at 5am UTC on the 29th, after the raw limit
+        for (const hour of [6, 12, 18]) expected.push([syncAt(28, hour), null]);
+        for (const day of [29, 30]) {
+            for (const hour of [0, 6, 12, 18]) expected.push([syncAt(day, hour), null]);
+        }
+
+        const syncs = await all(db, 'SELECT sync_id, rollup_period FROM Sync ORDER BY sync_date ASC');
+        assert.deepEqual(syncs.map(sync => [sync.sync_id, sync.rollup_period]), expected);
+        const starts = await all(db, 'SELECT DISTINCT period_start FROM XBLTotalRollup WHERE sync_id = ?', [syncAt(16, 0)]);
+        assert.deepEqual(starts.map(row => row.period_start), ['2024-12-09']);
+        (await readBoards(db)).forEach((board, syncId) => assert.deepEqual(board, before.get(syncId), `board of ${syncId}`));
+    });
+
+    it('leaves the boards of the kept syncs as they were', async () => {
+        const before = await readBoards(db);
+        const summary = await applyRetention(db, POLICY);
+        const after = await readBoards(db);
+
+        assert.equal(summary.syncs_removed, before.size - after.size);
+        after.forEach((board, syncId) => assert.deepEqual(board, before.get(syncId), `board of ${syncId}`));
+        // Dan had left the board as of the last sync of the 20th
+        assert.deepEqual(after.get(syncAt(20, 18)).map(([name]) => name), ['Alice', 'Bob', 'Cara']);
+    });
+
+    it('gives rollup rows ids no raw row has, also for rows stored afterwards', async () => {
+        await applyRetention(db, POLICY);
+        await addSync(db, 'later', '2024-12-31T06:00:00.000Z', [player('Alice', 1, 500), player('Bob', 2, 500)]);
+
+        const [ids] = await all(db, 'SELECT COUNT(*) as total, COUNT(DISTINCT id) as distinct_ids FROM XBLTotalHistory');
+        assert.equal(ids.distinct_ids, ids.total);
+    });
+
+    it('moves webhook deliveries and rename candidates of removed syncs to the kept sync', async () => {
+        await run(db, `INSERT INTO WebhookSubscription (id, url, rule, active) VALUES (1, 'https://example.com/hook', '{}', 1)`);
+        await run(db, `INSERT INTO WebhookDelivery (subscription_id, sync_id, status, attempts) VALUES (1, ?, 'delivered', 1)`, [syncAt(10, 6)]);
+        await run(db, `INSERT INTO RenameCandidate (old_name, new_name, sync_id, score) VALUES ('Bob', 'Bobby', ?, 0.9)`, [syncAt(20, 0)]);
+
+        await applyRetention(db, POLICY);
+
+        const [delivery] = await all(db, 'SELECT sync_id FROM WebhookDelivery');
+        const [candidate] = await all(db, 'SELECT sync_id FROM RenameCandidate');
+        assert.equal(delivery.sync_id, syncAt(15, 18));
+        assert.equal(candidate.sync_id, syncAt(20, 18));
+    });
+
+    it('leaves failed syncs alone and changes nothing when run again', async () => {
+        await startSync(db, 'failed', '2024-12-03T09:00:00.000Z');
+        await finishSync(db, 'failed', { status: 'failed', error: 'timeout' });
+
+        await applyRetention(db, POLICY);
+        const boards = await readBoards(db);
+        const summary = await applyRetention(db, POLICY);
+
+        assert.deepEqual(summary, { periods: 0, syncs_removed: 0, rows_removed: 0, rollup_rows: 0 });
+        assert.deepEqual(await readBoards(db), boards);
+        const [failed] = await all(db, `SELECT status, rollup_period FROM Sync WHERE sync_id = 'failed'`);
+        assert.deepEqual({ ...failed }, { status: 'failed', rollup_period: null });
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { historySource, replayBoard, getSnapshotRows } = require('../snapshots');
+const { deleteSync } = require('../history');
+const { XBLTOTAL_LEADERBOARD_ID } = require('../config');
+const { all, createDatabase, player, addSync, readBoard, listSyncIds } = require('./helpers');
+
+describe('change-only syncs', () => {
+    let database;
+    let db;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+    });
+
+    afterEach(() => database.close());
+
+    it('stores the whole board first and only the changed rows after that', async () => {
+        const first = await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        const second = await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1, 105), player('Bob', 2), player('Cara', 3)]);
+
+        assert.equal(first.length, 3);
+        assert.deepEqual(second.map(row => row.name), ['Alice']);
+        const syncs = await all(db, 'SELECT sync_id, snapshot_type FROM Sync ORDER BY sync_date');
+        assert.deepEqual(syncs.map(sync => sync.snapshot_type), ['full', 'delta']);
+        assert.deepEqual(await readBoard(db, 's2'), [['Alice', 1, 105], ['Bob', 2, 100], ['Cara', 3, 100]]);
+        assert.deepEqual(await readBoard(db, 's1'), [['Alice', 1, 100], ['Bob', 2, 100], ['Cara', 3, 100]]);
+    });
+
+    it('marks players who left the board as removed and brings them back when they rejoin', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        const left = await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1), player('Cara', 2)]);
+        await addSync(db, 's3', '2024-11-01T12:00:00.000Z', [player('Alice', 1), player('Cara', 2)]);
+        await addSync(db, 's4', '2024-11-01T13:00:00.000Z', [player('Alice', 1), player('Bob', 2, 110), player('Cara', 3)]);
+
+        assert.deepEqual(left.filter(row => row.removed).map(row => row.name), ['Bob']);
+        assert.deepEqual(await readBoard(db, 's2'), [['Alice', 1, 100], ['Cara', 2, 100]]);
+        assert.deepEqual(await readBoard(db, 's3'), [['Alice', 1, 100], ['Cara', 2, 100]]);
+        assert.deepEqual(await readBoard(db, 's4'), [['Alice', 1, 100], ['Bob', 2, 110], ['Cara', 3, 100]]);
+    });
+
+    it('stores nothing for a sync without changes and still reads its board', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2)]);
+        const rows = await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1), player('Bob', 2)]);
+
+        assert.equal(rows.length, 0);
+        const [sync] = await all(db, `SELECT status FROM Sync WHERE sync_id = 's2'`);
+        assert.equal(sync.status, 'unchanged');
+        assert.deepEqual(await readBoard(db, 's2'), [['Alice', 1, 100], ['Bob', 2, 100]]);
+    });
+
+    it('matches names with surrounding spaces to the stored player', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2)]);
+        const rows = await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player(' Alice ', 1), player('Bob', 2)]);
+
+        assert.equal(rows.length, 0);
+    });
+
+    it('reads the same boards through historySource, replayBoard and the per-sync snapshots', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+        await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Bob', 1, 120), player('Cara', 2)]);
+        await addSync(db, 's3', '2024-11-01T12:00:00.000Z', [player('Bob', 1, 120), player('Cara', 2)]);
+        await addSync(db, 's4', '2024-11-01T13:00:00.000Z', [player('Alice', 1, 130), player('Bob', 2, 120), player('Dan', 3)]);
+
+        const expected = new Map();
+        for (const syncId of await listSyncIds(db)) {
+            const rows = await getSnapshotRows(db, 'XBLTotal', XBLTOTAL_LEADERBOARD_ID, syncId);
+            expected.set(syncId, rows.map(row => `${row.id}:${row.name}`));
+        }
+
+        const history = await all(db, `SELECT t.* FROM ${historySource('XBLTotal')} t ORDER BY t.sync_id, t.rank, t.id`,
+            [XBLTOTAL_LEADERBOARD_ID]);
+        const fromHistory = new Map(Array.from(expected.keys()).map(syncId => [syncId, []]));
+        history.forEach(row => fromHistory.get(row.sync_id).push(`${row.id}:${row.name}`));
+
+        const replayed = new Map();
+        await replayBoard(db, 'XBLTotal', XBLTOTAL_LEADERBOARD_ID, async (sync, rows) => {
+            assert.ok(rows.every(row => row.sync_id === sync.sync_id));
+            replayed.set(sync.sync_id, rows.map(row => `${row.id}:${row.name}`));
+        });
+
+        assert.deepEqual(fromHistory, expected);
+        assert.deepEqual(replayed, expected);
+        assert.deepEqual(expected.get('s3'), expected.get('s2'));
+    });
+
+    it('keeps later boards as they were when a sync before them is deleted', async () => {
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2)]);
+        await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1, 150)]);
+        await addSync(db, 's3', '2024-11-01T12:00:00.000Z', [player('Alice', 1, 150)]);
+        const before = await readBoard(db, 's3');
+
+        await deleteSync(db, 's2');
+
+        // Bob's removal and Alice's races were stored in s2, and still hold as of s3
+        assert.deepEqual(await readBoard(db, 's3'), before);
+        assert.deepEqual(before, [['Alice', 1, 150]]);
+        const history = await all(db, `SELECT t.name FROM ${historySource('XBLTotal')} t WHERE t.sync_id = 's3'`,
+            [XBLTOTAL_LEADERBOARD_ID]);
+        assert.deepEqual(history.map(row => row.name), ['Alice']);
+    });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads the environment once: the API runs on a temporary database of its own, polling and
+// sending heartbeats often enough for a test
+process.env.DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'xbltotal-test-')), 'api.db');
+process.env.STREAM_POLL_SECONDS = '0.05';
+process.env.STREAM_HEARTBEAT_SECONDS = '0.1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { player, addSync, startApi } = require('./helpers');
+
+// Helper function to open the stream. Returns { next(match), close }, where next resolves with the first
+// message matching a regular expression that hasn't been read yet.
+const openStream = (url) => new Promise((resolve, reject) => {
+    const request = http.get(url, res => {
+        let buffer = '';
+        let waiting = null;
+        const check = () => {
+            if (!waiting) return;
+            const messages = buffer.split('\n\n');
+            const index = messages.slice(0, -1).findIndex(message => waiting.match.test(message));
+            if (index === -1) return;
+            buffer = messages.slice(index + 1).join('\n\n');
+            const { resolve: found } = waiting;
+            waiting = null;
+            found(messages[index]);
+        };
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            buffer += chunk;
+            check();
+        });
+        resolve({
+            headers: res.headers,
+            next: (match) => new Promise(found => {
+                waiting = { match, resolve: found };
+                check();
+            }),
+            close: () => request.destroy()
+        });
+    });
+    request.on('error', reject);
+});
+
+describe('GET /api2/stream', () => {
+    let api;
+
+    before(async () => {
+        api = await startApi();
+        await addSync(api.db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 1), player('Bob', 2), player('Cara', 3)]);
+    });
+
+    after(() => api.close());
+
+    it('sends heartbeats, then an event with a summary for each sync that lands while connected', async () => {
+        const stream = await openStream(`${api.url}/api2/stream?tz=Asia/Tokyo`);
+        try {
+            assert.equal(stream.headers['content-type'], 'text/event-stream');
+            assert.match(await stream.next(/^retry: /), /^retry: 50$/);
+            // A heartbeat comes after the stream has noted the latest sync, so only later syncs are announced
+            await stream.next(/^: heartbeat /);
+
+            await addSync(api.db, 's2', '2024-11-01T11:00:00.000Z', [player('Bob', 1), player('Alice', 2), player('Dan', 3)]);
+            const message = await stream.next(/^id: /);
+            const [id, event, data] = message.split('\n');
+
+            assert.equal(id, 'id: s2');
+            assert.equal(event, 'event: sync');
+            assert.deepEqual(JSON.parse(data.substring('data: '.length)), {
+                sync_id: 's2',
+                sync_date: '2024-11-01T20:00:00+09:00',
+                row_count: 3,
+                summary: {
+                    previous_sync_id: 's1',
+                    movers: [
+                        { name: 'Bob', rank_from: 2, rank_to: 1, rank_change: 1 },
+                        { name: 'Alice', rank_from: 1, rank_to: 2, rank_change: -1 }
+                    ],
+                    entered: 1,
+                    left: 1
+                }
+            });
+        } finally {
+            stream.close();
+        }
+    });
+});
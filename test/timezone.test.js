@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toLocalDate, fromLocalDate, toIsoString, localizeRow, isTimeZone } = require('../timezone');
+
+describe('toIsoString', () => {
+    it('uses the offset in force at the moment', () => {
+        assert.equal(toIsoString('2024-01-15 12:00:00', 'Europe/London'), '2024-01-15T12:00:00+00:00');
+        assert.equal(toIsoString('2024-07-15 12:00:00', 'Europe/London'), '2024-07-15T13:00:00+01:00');
+        assert.equal(toIsoString('2024-07-15T12:00:00.000Z', 'America/New_York'), '2024-07-15T08:00:00-04:00');
+        assert.equal(toIsoString('2024-11-26 17:55:21', 'Asia/Kolkata'), '2024-11-26T23:25:21+05:30');
+    });
+
+    it('switches offset exactly when the clocks change', () => {
+        assert.equal(toIsoString('2024-03-31 00:59:59', 'Europe/London'), '2024-03-31T00:59:59+00:00');
+        assert.equal(toIsoString('2024-03-31 01:00:00', 'Europe/London'), '2024-03-31T02:00:00+01:00');
+        assert.equal(toIsoString('2024-10-27 00:30:00', 'Europe/London'), '2024-10-27T01:30:00+01:00');
+        assert.equal(toIsoString('2024-10-27 01:30:00', 'Europe/London'), '2024-10-27T01:30:00+00:00');
+    });
+});
+
+describe('fromLocalDate', () => {
+    it('converts wall-clock times to UTC', () => {
+        assert.equal(fromLocalDate('2024-07-01 12:00:00', 'Europe/London'), '2024-07-01 11:00:00');
+        assert.equal(fromLocalDate('2024-01-01 00:00:00', 'America/New_York'), '2024-01-01 05:00:00');
+        assert.equal(fromLocalDate('2024-11-26 17:55:21', 'Asia/Kolkata'), '2024-11-26 12:25:21');
+    });
+
+    it('moves times skipped when the clocks go forward on by the change', () => {
+        assert.equal(fromLocalDate('2024-03-31 01:30:00', 'Europe/London'), '2024-03-31 01:30:00');
+        assert.equal(toIsoString(fromLocalDate('2024-03-10 02:30:00', 'America/New_York'), 'America/New_York'), '2024-03-10T03:30:00-04:00');
+        assert.equal(toIsoString(fromLocalDate('2024-10-06 02:30:00', 'Australia/Sydney'), 'Australia/Sydney'), '2024-10-06T03:30:00+11:00');
+    });
+
+    it('resolves times repeated when the clocks go back to the later one', () => {
+        assert.equal(fromLocalDate('2024-10-27 01:30:00', 'Europe/London'), '2024-10-27 01:30:00');
+        assert.equal(fromLocalDate('2024-11-03 01:30:00', 'America/New_York'), '2024-11-03 06:30:00');
+        assert.equal(fromLocalDate('2024-04-07 02:30:00', 'Australia/Sydney'), '2024-04-06 16:30:00');
+    });
+
+    it('round-trips every hour of a day with a clock change', () => {
+        for (let hour = 0; hour < 24; hour++) {
+            if (hour === 2) continue;
+            const local = `2024-03-10 ${String(hour).padStart(2, '0')}:00:00`;
+            assert.equal(toLocalDate(fromLocalDate(local, 'America/New_York'), 'America/New_York'), local);
+        }
+    });
+});
+
+describe('localizeRow', () => {
+    it('rewrites only timestamp columns that hold a UTC timestamp', () => {
+        const row = { name: '2024-01-01 00:00:00', sync_date: '2024-07-01T10:00:00.000Z', created_date: 'not a date', rank: 1 };
+
+        assert.deepEqual(localizeRow(row, 'Europe/London'), {
+            name: '2024-01-01 00:00:00',
+            sync_date: '2024-07-01T11:00:00+01:00',
+            created_date: 'not a date',
+            rank: 1
+        });
+        assert.deepEqual(localizeRow({ date: '2024-07-01 10:00:00' }, 'Europe/London', ['date']), { date: '2024-07-01T11:00:00+01:00' });
+    });
+
+    it('leaves timestamps that already carry an offset alone', () => {
+        assert.deepEqual(localizeRow({ sync_date: '2024-07-01T11:00:00+01:00' }, 'UTC'), { sync_date: '2024-07-01T11:00:00+01:00' });
+    });
+});
+
+describe('isTimeZone', () => {
+    it('accepts IANA names and rejects anything else', () => {
+        assert.equal(isTimeZone('Europe/London'), true);
+        assert.equal(isTimeZone('Mars/Olympus_Mons'), false);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateXBLTotal } = require('../validate');
+const { player } = require('./helpers');
+
+const HEADERS = ['Rank', 'Gamertag', '1st', '2nd', '3rd', 'Races Completed', 'Kudos Rank', 'Kudos'];
+
+// Helper function to build a parsed board: the header cells, the raw cells of each row and the entries
+const board = (entries, { headers = HEADERS, cellCount = HEADERS.length, invalidCells = 0 } = {}) => ({
+    headers,
+    rows: entries.map(() => new Array(cellCount).fill('0')),
+    entries,
+    invalidCells
+});
+
+// Helper function to list the checks that failed
+const checks = (problems) => problems.map(problem => problem.check);
+
+describe('validateXBLTotal', () => {
+    const entries = Array.from({ length: 20 }, (value, index) => player(`Player ${index + 1}`, index + 1));
+
+    it('passes a well-formed board', () => {
+        assert.deepEqual(validateXBLTotal(board(entries)), []);
+    });
+
+    it('reports an empty board and nothing else', () => {
+        assert.deepEqual(checks(validateXBLTotal(board([]))), ['empty']);
+    });
+
+    it('reports a changed layout', () => {
+        const problems = validateXBLTotal(board(entries, { headers: HEADERS.slice(0, 7), cellCount: 7 }));
+
+        assert.deepEqual(checks(problems), ['column_count', 'column_count']);
+        assert.ok(problems[1].examples.length <= 10);
+    });
+
+    it('reports cells that could not be parsed', () => {
+        assert.deepEqual(checks(validateXBLTotal(board(entries, { invalidCells: 3 }))), ['unparseable_cells']);
+    });
+
+    it('reports duplicate and missing ranks', () => {
+        const reranked = entries.map(entry => (entry.rank === 5 ? { ...entry, rank: 4 } : entry));
+        const problems = validateXBLTotal(board(reranked));
+
+        assert.deepEqual(checks(problems), ['duplicate_ranks', 'missing_ranks']);
+        assert.deepEqual(problems[0].examples, [4]);
+        assert.deepEqual(problems[1].examples, [5]);
+    });
+
+    it('checks the ranks of a page from its first rank', () => {
+        const page = { ...board(entries.slice(10)), partial: true };
+
+        assert.deepEqual(validateXBLTotal(page), []);
+        assert.deepEqual(checks(validateXBLTotal(board(entries.slice(10)))), ['missing_ranks']);
+    });
+
+    it('reports a board where too many rows have only zero stats', () => {
+        const zeroed = (count) => entries.map((entry, index) => (index < count ? { rank: entry.rank, name: entry.name } : entry));
+
+        assert.deepEqual(checks(validateXBLTotal(board(zeroed(3)))), ['zero_rows']);
+        assert.deepEqual(validateXBLTotal(board(zeroed(1))), []);
+    });
+
+    it('reports lifetime counters that went down since the previous snapshot', () => {
+        const previous = new Map(entries.map(entry => [entry.name, { ...entry, gamertag: entry.name }]));
+        const current = entries.map(entry => (entry.name === 'Player 3' ? { ...entry, races_completed: 90 } : entry));
+        const problems = validateXBLTotal(board(current), previous);
+
+        assert.deepEqual(checks(problems), ['counters_decreased']);
+        assert.deepEqual(problems[0].examples, ['Player 3 races_completed: 100 -> 90']);
+        assert.deepEqual(validateXBLTotal(board(entries), previous), []);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RULES, validateRule, checkWebhookUrl, queueWebhooks, webhooksSent } = require('../webhooks');
+const { run, all, createDatabase, player, addSync } = require('./helpers');
+
+// Helper function to build a snapshot (trimmed name -> row) from entries
+const snapshot = (entries) => new Map(entries.map(entry => [entry.name, entry]));
+
+describe('webhook rules', () => {
+    it('accepts well-formed rules and explains what is wrong with the rest', () => {
+        assert.equal(validateRule({ type: 'rank_change', player: 'Alice' }), null);
+        assert.equal(validateRule({ type: 'entered_top', top: 10 }), null);
+        assert.equal(validateRule({ type: 'milestone', metric: 'kudos', every: 1000 }), null);
+
+        assert.match(validateRule([]), /must be an object/);
+        assert.match(validateRule({ type: 'overtake' }), /rule type must be one of/);
+        assert.match(validateRule({ type: 'rank_change', player: ' ' }), /need a player/);
+        assert.match(validateRule({ type: 'entered_top', top: 2.5 }), /positive integer top/);
+        assert.match(validateRule({ type: 'milestone', metric: 'rank', every: 10 }), /need a metric/);
+    });
+
+    it('reports rank changes of one player, found whatever the case', () => {
+        const previous = snapshot([player('Alice', 2), player('Bob', 1)]);
+        const current = snapshot([player('Alice', 1), player('Bob', 2)]);
+
+        assert.deepEqual(RULES.rank_change.evaluate({ player: 'alice' }, previous, current),
+            [{ type: 'rank_change', name: 'Alice', rank_from: 2, rank_to: 1 }]);
+        assert.deepEqual(RULES.rank_change.evaluate({ player: 'Alice' }, current, current), []);
+    });
+
+    it('reports players entering the top N and metrics crossing a multiple', () => {
+        const previous = snapshot([player('Alice', 1, 100, 1900), player('Bob', 2), player('Cara', 3)]);
+        const current = snapshot([player('Alice', 1, 100, 2100), player('Cara', 2), player('Bob', 3)]);
+
+        assert.deepEqual(RULES.entered_top.evaluate({ top: 2 }, previous, current),
+            [{ type: 'entered_top', name: 'Cara', rank: 2, top: 2 }]);
+        assert.deepEqual(RULES.milestone.evaluate({ metric: 'kudos', every: 1000 }, previous, current),
+            [{ type: 'milestone', name: 'Alice', metric: 'kudos', milestone: 2000, value: 2100 }]);
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    it('refuses urls that are not http(s) or point at a private or loopback address', async () => {
+        assert.match(await checkWebhookUrl('not a url'), /valid URL/);
+        assert.match(await checkWebhookUrl('ftp://93.184.216.34/'), /http or https/);
+        for (const url of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest',
+            'http://192.168.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/']) {
+            assert.match(await checkWebhookUrl(url), /private or loopback/, url);
+        }
+    });
+
+    it('allows public addresses', async () => {
+        assert.equal(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+        assert.equal(await checkWebhookUrl('http://[2606:4700::1111]/hook'), null);
+    });
+});
+
+describe('queueWebhooks', () => {
+    let database;
+    let db;
+
+    // Helper function to subscribe a url to a rule
+    const subscribe = (url, rule) => run(db, `INSERT INTO WebhookSubscription (url, rule, active, created_date) VALUES (?, ?, 1, datetime('now'))`,
+        [url, typeof rule === 'string' ? rule : JSON.stringify(rule)]);
+
+    beforeEach(async () => {
+        database = await createDatabase();
+        db = database.db;
+        await addSync(db, 's1', '2024-11-01T10:00:00.000Z', [player('Alice', 2), player('Bob', 1)]);
+        await addSync(db, 's2', '2024-11-01T11:00:00.000Z', [player('Alice', 1), player('Bob', 2)]);
+        await addSync(db, 's3', '2024-11-01T12:00:00.000Z', [player('Alice', 2), player('Bob', 1)]);
+    });
+
+    afterEach(async () => {
+        await webhooksSent();
+        await database.close();
+    });
+
+    it('logs deliveries to refused urls without sending them, and skips broken rules without stopping the rest', async () => {
+        await subscribe('http://127.0.0.1:9/', { type: 'rank_change', player: 'Alice' });
+        await subscribe('https://93.184.216.34/', '{ not json');
+        await subscribe('https://93.184.216.34/', { type: 'overtake' });
+        await subscribe('http://[::1]/', { type: 'entered_top', top: 1 });
+
+        // Sent in the order the syncs were queued, after the callers moved on
+        const errors = [];
+        const error = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+            queueWebhooks(db, 's2');
+            await queueWebhooks(db, 's3');
+        } finally {
+            console.error = error;
+        }
+
+        const deliveries = await all(db, 'SELECT subscription_id, sync_id, status, attempts, error FROM WebhookDelivery ORDER BY id');
+        assert.deepEqual(deliveries.map(row => [row.subscription_id, row.sync_id, row.status, row.attempts]),
+            [[1, 's2', 'failed', 0], [4, 's2', 'failed', 0], [1, 's3', 'failed', 0], [4, 's3', 'failed', 0]]);
+        assert.ok(deliveries.every(row => /private or loopback/.test(row.error)));
+        assert.ok(errors.some(message => /Error notifying webhook 2/.test(message)));
+        assert.ok(errors.some(message => /Webhook 3 has an invalid rule/.test(message)));
+    });
+});
@@ -0,0 +1,125 @@
+const { DEFAULT_TIMEZONE } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatters are slow to create, so one is kept per time zone
+const formatters = new Map();
+
+// Helper function to get the formatter for the wall-clock time in a time zone
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Check that a time zone name is known to Intl
+const isTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+if (!isTimeZone(DEFAULT_TIMEZONE)) {
+    throw new Error(`DEFAULT_TIMEZONE is not a known time zone: ${DEFAULT_TIMEZONE}`);
+}
+
+// Helper function to format a Date as a folder_date ('YYYY-MM-DD HH:MM:SS', UTC)
+const toFolderDate = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+// Helper function to parse a folder_date or an ISO timestamp into a Date. Values without an offset are UTC.
+const parseDate = (value) => {
+    if (value instanceof Date) return value;
+    const text = String(value).replace(' ', 'T');
+    return new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : text + 'Z');
+};
+
+// Get the wall-clock time in a time zone of a UTC folder_date, ISO timestamp or Date, as 'YYYY-MM-DD HH:MM:SS'.
+// Returns null for values that aren't dates.
+const toLocalDate = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const date = parseDate(value);
+    if (isNaN(date.getTime())) return null;
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Helper function to get the offset of a time zone from UTC in minutes at a moment
+const getOffsetMinutes = (date, timeZone) => {
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((parseDate(toLocalDate(date, timeZone)).getTime() - wholeSeconds) / 60000);
+};
+
+// Get the UTC folder_date of a wall-clock time ('YYYY-MM-DD HH:MM:SS') in a time zone. Times skipped when
+// the clocks go forward are moved on by the change; repeated times resolve to the later one.
+const fromLocalDate = (localDate, timeZone = DEFAULT_TIMEZONE) => {
+    const wall = parseDate(localDate).getTime();
+    // Around a clock change the time zone has one offset before it and another after it; a wall-clock time
+    // is at one of them, both (repeated) or neither (skipped, then the offset before the change moves it on)
+    const offsets = [getOffsetMinutes(new Date(wall - DAY_MS), timeZone), getOffsetMinutes(new Date(wall + DAY_MS), timeZone)];
+    const matches = offsets
+        .map(offset => wall - offset * 60000)
+        .filter(time => toLocalDate(new Date(time), timeZone) === toFolderDate(new Date(wall)));
+    return toFolderDate(new Date(matches.length > 0 ? Math.max(...matches) : wall - offsets[0] * 60000));
+};
+
+// Format a UTC folder_date, ISO timestamp or Date as ISO 8601 with the offset of a time zone,
+// e.g. '2024-11-26T19:55:21+02:00'
+const toIsoString = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const date = parseDate(value);
+    const offset = getOffsetMinutes(date, timeZone);
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${toLocalDate(date, timeZone).replace(' ', 'T')}${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+};
+
+// UTC timestamps as they are stored: folder_dates and ISO timestamps ending in Z
+const UTC_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?$/;
+
+// Row columns that hold UTC timestamps
+const TIMESTAMP_COLUMNS = ['folder_date', 'data_date', 'sync_date', 'first_seen', 'last_seen', 'created_date', 'updated_date',
+    'resolved_date', 'deleted_at'];
+
+// Write the timestamp columns of a row (TIMESTAMP_COLUMNS unless columns is given) as ISO 8601 with the offset
+// of a time zone. Only those columns are touched, and only when they hold a UTC timestamp, so names and
+// board data are always returned as stored.
+const localizeRow = (row, timeZone = DEFAULT_TIMEZONE, columns = TIMESTAMP_COLUMNS) => {
+    if (!row) return row;
+    const localized = { ...row };
+    columns.forEach(column => {
+        const value = row[column];
+        if (typeof value === 'string' && UTC_TIMESTAMP.test(value) && !isNaN(parseDate(value).getTime())) {
+            localized[column] = toIsoString(value, timeZone);
+        }
+    });
+    return localized;
+};
+
+// localizeRow for every row of an array
+const localizeRows = (rows, timeZone = DEFAULT_TIMEZONE, columns = TIMESTAMP_COLUMNS) => rows.map(row => localizeRow(row, timeZone, columns));
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isTimeZone,
+    toFolderDate,
+    parseDate,
+    toLocalDate,
+    fromLocalDate,
+    toIsoString,
+    localizeRow,
+    localizeRows
+};
@@ -0,0 +1,86 @@
+const { MAX_ZERO_ROW_FRACTION } = require('./config');
+
+// Number of cells an XBLTotal row has: rank, name, 1st, 2nd, 3rd, races, kudos rank, kudos
+const XBLTOTAL_COLUMN_COUNT = 8;
+
+// Counters that only ever go up for a player
+const LIFETIME_COUNTERS = ['first_place_finishes', 'second_place_finishes', 'third_place_finishes', 'races_completed', 'kudos'];
+
+// Stat columns checked for all-zero rows (rank is left out, it usually still parses after a layout change)
+const STAT_COLUMNS = [...LIFETIME_COUNTERS, 'kudos_rank'];
+
+// How many examples to keep per problem
+const MAX_EXAMPLES = 10;
+
+// Check a scraped XBLTotal board before it is committed. previous is the last good snapshot
+// (a Map of player name -> row with gamertag) or null. partial is set for imported pages that may hold only
+// part of the board, whose ranks start wherever the page starts. Returns a list of problems; empty means valid.
+function validateXBLTotal({ headers = [], rows = [], entries = [], invalidCells = 0, partial = false }, previous = null) {
+    const problems = [];
+    const addProblem = (check, message, examples = []) => {
+        problems.push({ check, message, examples: examples.slice(0, MAX_EXAMPLES) });
+    };
+
+    if (entries.length === 0) {
+        addProblem('empty', 'No rows were parsed');
+        return problems;
+    }
+
+    // Layout changes show up as a different header or cell count
+    if (headers.length > 0 && headers.length !== XBLTOTAL_COLUMN_COUNT) {
+        addProblem('column_count', `Expected ${XBLTOTAL_COLUMN_COUNT} columns but the table has ${headers.length}`, headers);
+    }
+    const badRows = rows.filter(cells => cells.length !== XBLTOTAL_COLUMN_COUNT);
+    if (badRows.length > 0) {
+        addProblem('column_count', `${badRows.length} rows don't have ${XBLTOTAL_COLUMN_COUNT} cells`, badRows.map(cells => cells.join(' | ')));
+    }
+    if (invalidCells > 0) {
+        addProblem('unparseable_cells', `${invalidCells} numeric cells could not be parsed and were stored as 0`);
+    }
+
+    // Ranks should run 1..N (or across the page) without repeats
+    const ranks = entries.map(entry => entry.rank).sort((a, b) => a - b);
+    const duplicates = ranks.filter((rank, index) => index > 0 && ranks[index - 1] === rank);
+    if (duplicates.length > 0) {
+        addProblem('duplicate_ranks', `${duplicates.length} duplicate ranks`, [...new Set(duplicates)]);
+    }
+    const rankSet = new Set(ranks);
+    const missing = [];
+    for (let rank = partial ? ranks[0] : 1; rank <= ranks[ranks.length - 1]; rank++) {
+        if (!rankSet.has(rank)) missing.push(rank);
+    }
+    if (missing.length > 0) {
+        addProblem('missing_ranks', `${missing.length} missing ranks`, missing);
+    }
+
+    const zeroRows = entries.filter(entry => STAT_COLUMNS.every(column => !entry[column]));
+    if (zeroRows.length / entries.length > MAX_ZERO_ROW_FRACTION) {
+        addProblem('zero_rows', `${zeroRows.length} of ${entries.length} rows have only zero stats`, zeroRows.map(entry => entry.name));
+    }
+
+    // Lifetime counters going down means the scrape (or the site) is wrong
+    if (previous) {
+        const previousByGamertag = new Map();
+        previous.forEach(row => previousByGamertag.set(row.gamertag || row.name, row));
+
+        const decreased = [];
+        entries.forEach(entry => {
+            const before = previousByGamertag.get(entry.name.trim());
+            if (!before) return;
+            LIFETIME_COUNTERS.forEach(column => {
+                if ((entry[column] || 0) < (before[column] || 0)) {
+                    decreased.push(`${entry.name} ${column}: ${before[column]} -> ${entry[column]}`);
+                }
+            });
+        });
+        if (decreased.length > 0) {
+            addProblem('counters_decreased', `${decreased.length} lifetime counters went down since the previous sync`, decreased);
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    validateXBLTotal
+};
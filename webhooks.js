@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { getSnapshot, getPreviousSync } = require('./snapshots');
+const { run, all } = require('./repository');
+const { WEBHOOK_RETRIES, WEBHOOK_RETRY_DELAY_MS, WEBHOOK_TIMEOUT_MS } = require('./config');
+
+// Numeric XBLTotal columns a milestone rule can watch
+const MILESTONE_METRICS = ['first_place_finishes', 'second_place_finishes', 'third_place_finishes', 'races_completed', 'kudos'];
+
+// Addresses a webhook may never be sent to: loopback, private, link-local (cloud metadata services),
+// carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are matched by the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Helper function to sleep
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Check that a webhook url is http(s) and that its host resolves only to public addresses, so subscriptions
+// can't be used to reach the fetcher's own network. Returns an error message, or null when the url is allowed.
+const checkWebhookUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return 'url must be a valid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'url must be http or https';
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) return 'url must not point at a private or loopback address';
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+        try {
+            addresses = await dns.lookup(host, { all: true });
+        } catch (err) {
+            return `url host could not be resolved: ${host}`;
+        }
+    }
+    if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        return 'url must not point at a private or loopback address';
+    }
+    return null;
+};
+
+// Filter rules a subscription can have, each turning two snapshots into a list of events.
+// Snapshots are Maps of trimmed name -> XBLTotal row.
+const RULES = {
+    // { "type": "rank_change", "player": "Name" } - the player's rank changed
+    rank_change: {
+        validate: (rule) => (typeof rule.player === 'string' && rule.player.trim() !== '' ? null : 'rank_change rules need a player'),
+        evaluate: (rule, previous, current) => {
+            const find = (snapshot) => Array.from(snapshot.values())
+                .find(row => row.name.toLowerCase() === rule.player.trim().toLowerCase());
+            const before = find(previous);
+            const after = find(current);
+            if (!before && !after) return [];
+            const rankFrom = before ? before.rank : null;
+            const rankTo = after ? after.rank : null;
+            if (rankFrom === rankTo) return [];
+            return [{ type: 'rank_change', name: (after || before).name, rank_from: rankFrom, rank_to: rankTo }];
+        }
+    },
+    // { "type": "entered_top", "top": 10 } - anyone moved into the top N
+    entered_top: {
+        validate: (rule) => (Number.isInteger(rule.top) && rule.top > 0 ? null : 'entered_top rules need a positive integer top'),
+        evaluate: (rule, previous, current) => {
+            const events = [];
+            current.forEach((row, name) => {
+                const before = previous.get(name);
+                if (row.rank > 0 && row.rank <= rule.top && (!before || !(before.rank > 0 && before.rank <= rule.top))) {
+                    events.push({ type: 'entered_top', name, rank: row.rank, top: rule.top });
+                }
+            });
+            return events;
+        }
+    },
+    // { "type": "milestone", "metric": "kudos", "every": 10000, "player": "Name" (optional) }
+    // - a player's metric crossed a multiple of every
+    milestone: {
+        validate: (rule) => {
+            if (!MILESTONE_METRICS.includes(rule.metric)) return `milestone rules need a metric: ${MILESTONE_METRICS.join(', ')}`;
+            if (!(typeof rule.every === 'number' && rule.every > 0)) return 'milestone rules need a positive every';
+            if (rule.player !== undefined && !(typeof rule.player === 'string' && rule.player.trim() !== '')) {
+                return 'milestone rules need player to be a non-empty string when given';
+            }
+            return null;
+        },
+        evaluate: (rule, previous, current) => {
+            const events = [];
+            current.forEach((row, name) => {
+                if (rule.player && name.toLowerCase() !== rule.player.trim().toLowerCase()) return;
+                const before = previous.get(name);
+                if (!before) return;
+                const reached = Math.floor((row[rule.metric] || 0) / rule.every);
+                if (reached > Math.floor((before[rule.metric] || 0) / rule.every)) {
+                    events.push({ type: 'milestone', name, metric: rule.metric, milestone: reached * rule.every, value: row[rule.metric] });
+                }
+            });
+            return events;
+        }
+    }
+};
+
+// Check a rule object. Returns an error message, or null when the rule is valid.
+const validateRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'rule must be an object';
+    if (!RULES[rule.type]) return `rule type must be one of ${Object.keys(RULES).join(', ')}`;
+    return RULES[rule.type].validate(rule);
+};
+
+// POST a payload to a subscriber, retrying with exponential backoff, and log the delivery's outcome
+// (one WebhookDelivery row with the number of attempts it took)
+const deliver = async (db, subscription, syncId, payload) => {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'xbltotal-webhooks' };
+    if (subscription.secret) {
+        headers['X-Webhook-Signature'] = 'sha256=' + crypto.createHmac('sha256', subscription.secret).update(body).digest('hex');
+    }
+
+    let attempts = 0;
+    let responseStatus = null;
+    // The host is checked again on delivery in case its DNS changed since the subscription was created
+    const refused = await checkWebhookUrl(subscription.url);
+    let error = refused;
+    while (!refused && attempts <= WEBHOOK_RETRIES) {
+        attempts++;
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers,
+                body,
+                // Redirects are not followed, since they could lead to an address the url check would refuse
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            if (response.ok) {
+                error = null;
+                break;
+            }
+            error = `HTTP ${response.status}`;
+        } catch (err) {
+            error = err.message;
+        }
+        if (attempts <= WEBHOOK_RETRIES) {
+            await sleep(WEBHOOK_RETRY_DELAY_MS * Math.pow(2, attempts - 1));
+        }
+    }
+
+    await run(db, `
+        INSERT INTO WebhookDelivery (subscription_id, sync_id, status, attempts, response_status, error, payload, created_date)
+        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `, [subscription.id, syncId, error ? 'failed' : 'delivered', attempts, responseStatus, error, body]);
+
+    if (error) {
+        console.error(`Webhook ${subscription.id} delivery failed after ${attempts} attempt(s): ${error}`);
+    } else {
+        console.log(`Webhook ${subscription.id} delivered (${payload.events.length} events)`);
+    }
+};
+
+// Compare a sync with the successful sync before it and notify every active subscription whose rule matched
+async function notifyWebhooks(db, syncId) {
+    const subscriptions = await all(db, 'SELECT * FROM WebhookSubscription WHERE active = 1');
+    if (subscriptions.length === 0) return;
+
+    const syncs = await all(db, 'SELECT sync_id, sync_date FROM Sync WHERE sync_id = ?', [syncId]);
+    const sync = syncs[0];
+    const previousSync = sync ? await getPreviousSync(db, syncId) : null;
+    if (!sync || !previousSync) {
+        console.log('No previous sync to compare with, skipping webhooks');
+        return;
+    }
+
+    const [previous, current] = await Promise.all([getSnapshot(db, previousSync.sync_id), getSnapshot(db, syncId)]);
+
+    // Each subscription is handled on its own, so one broken rule or failed delivery doesn't stop the rest
+    for (const subscription of subscriptions) {
+        try {
+            const rule = JSON.parse(subscription.rule);
+            const invalid = validateRule(rule);
+            if (invalid) {
+                console.error(`Webhook ${subscription.id} has an invalid rule: ${invalid}`);
+                continue;
+            }
+
+            const events = RULES[rule.type].evaluate(rule, previous, current);
+            if (events.length === 0) continue;
+
+            await deliver(db, subscription, syncId, {
+                subscription_id: subscription.id,
+                rule,
+                sync: { sync_id: sync.sync_id, sync_date: sync.sync_date, previous_sync_id: previousSync.sync_id },
+                events
+            });
+        } catch (err) {
+            console.error(`Error notifying webhook ${subscription.id}:`, err.message);
+        }
+    }
+}
+
+// Webhooks still to be sent, one sync after another in the order the syncs were queued
+let deliveries = Promise.resolve();
+
+// Queue the webhooks of a sync, so a sync doesn't wait for slow subscribers or their retries. Failures are
+// only logged. Returns a promise that settles once they are sent, for callers about to close the database.
+function queueWebhooks(db, syncId) {
+    deliveries = deliveries
+        .then(() => notifyWebhooks(db, syncId))
+        .catch(err => console.error('Error sending webhooks:', err));
+    return deliveries;
+}
+
+// Wait for every queued webhook to be sent
+const webhooksSent = () => deliveries;
+
+module.exports = {
+    RULES,
+    validateRule,
+    checkWebhookUrl,
+    notifyWebhooks,
+    queueWebhooks,
+    webhooksSent
+};